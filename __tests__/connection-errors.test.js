@@ -0,0 +1,81 @@
+/**
+ * Tests for connection failure explanations used by "Test connection".
+ * Imports the real helper from the shipping code.
+ */
+
+const { describeConnectionError } = require('../lib/connection-errors');
+
+function withProps(message, props) {
+    return Object.assign(new Error(message), props);
+}
+
+// Shaped like the RpcError (@protobuf-ts/runtime-rpc) a failed query throws
+function rpcError(message, code) {
+    return withProps(message, { name: 'RpcError', code, meta: {} });
+}
+
+describe('describeConnectionError', () => {
+    test('DNS and socket failures mean the server is unreachable', () => {
+        expect(describeConnectionError(withProps('getaddrinfo ENOTFOUND x', { code: 'ENOTFOUND' })).reason)
+            .toBe('unreachable');
+        expect(describeConnectionError(withProps('connect ECONNREFUSED', { code: 'ECONNREFUSED' })))
+            .toEqual({ reason: 'unreachable', message: 'Connection refused - check the host and port' });
+        expect(describeConnectionError(withProps('timeout', { code: 'ETIMEDOUT' })).reason)
+            .toBe('unreachable');
+    });
+
+    test('certificate errors point at the TLS settings', () => {
+        const result = describeConnectionError(
+            withProps('self-signed certificate', { code: 'DEPTH_ZERO_SELF_SIGNED_CERT' })
+        );
+        expect(result.reason).toBe('tls');
+        expect(result.message).toContain('CA Cert Path');
+    });
+
+    test('a protocol mismatch suggests checking http vs https', () => {
+        const result = describeConnectionError(withProps('wrong version number', { code: 'EPROTO' }));
+        expect(result.reason).toBe('tls');
+        expect(result.message).toContain('http:// or https://');
+    });
+
+    test('HTTP 401 and 403 are auth failures', () => {
+        expect(describeConnectionError(withProps('unauthorized', { statusCode: 401 })).reason).toBe('auth');
+        expect(describeConnectionError(withProps('forbidden', { statusCode: 403 })).reason).toBe('auth');
+    });
+
+    test('HTTP 404 mentioning the database is a missing database', () => {
+        expect(describeConnectionError(withProps('database not found', { statusCode: 404 })).reason)
+            .toBe('database');
+        expect(describeConnectionError(withProps('no route', { statusCode: 404 })).reason).toBe('server');
+    });
+
+    test('other HTTP statuses are server errors', () => {
+        expect(describeConnectionError(withProps('boom', { statusCode: 500 })))
+            .toEqual({ reason: 'server', message: 'Server returned HTTP 500: boom' });
+    });
+
+    test('gRPC status codes from queries are mapped', () => {
+        expect(describeConnectionError(rpcError('bad token', 'UNAUTHENTICATED')).reason).toBe('auth');
+        expect(describeConnectionError(rpcError('denied', 'PERMISSION_DENIED')).reason).toBe('auth');
+        expect(describeConnectionError(rpcError('no such table', 'NOT_FOUND')))
+            .toEqual({ reason: 'database', message: 'Database not found: no such table' });
+        expect(describeConnectionError(rpcError('connection refused', 'UNAVAILABLE')).reason)
+            .toBe('unreachable');
+        expect(describeConnectionError(rpcError('timed out', 'DEADLINE_EXCEEDED')).reason)
+            .toBe('unreachable');
+    });
+
+    test('other gRPC status codes are passed through', () => {
+        expect(describeConnectionError(rpcError('bad query', 'INVALID_ARGUMENT')))
+            .toEqual({ reason: 'config', message: 'bad query' });
+    });
+
+    test('a "database not found" message without a code is still recognized', () => {
+        expect(describeConnectionError(new Error('Database "x" not found')).reason).toBe('database');
+    });
+
+    test('anything else is passed through as a configuration problem', () => {
+        expect(describeConnectionError(new Error('Failed to read CA certificate')))
+            .toEqual({ reason: 'config', message: 'Failed to read CA certificate' });
+    });
+});
@@ -0,0 +1,101 @@
+/**
+ * Tests for the write node's deadband filter.
+ * Imports the real helpers from the shipping code.
+ */
+
+const { createDeadbandFilter } = require('../lib/deadband');
+
+describe('createDeadbandFilter', () => {
+    let time;
+    const now = () => time;
+
+    beforeEach(() => {
+        time = 0;
+    });
+
+    test('writes the first value and then only changes beyond an absolute deadband', () => {
+        const deadband = createDeadbandFilter({ mode: 'absolute', value: 0.5, maxSilence: 0 }, now);
+
+        expect(deadband.filter('db', 'tank,id=1 level=10')).toMatchObject({ lineProtocol: 'tank,id=1 level=10', kept: [0], suppressed: 0 });
+        expect(deadband.filter('db', 'tank,id=1 level=10.5')).toMatchObject({ lineProtocol: '', kept: [], suppressed: 1 });
+        expect(deadband.filter('db', 'tank,id=1 level=10.6').kept).toEqual([0]);
+        // Compared with the last written value (10.6), not the last seen one
+        expect(deadband.filter('db', 'tank,id=1 level=10.2').kept).toEqual([]);
+        expect(deadband.filter('db', 'tank,id=1 level=10.2').kept).toEqual([]);
+    });
+
+    test('a percent deadband is relative to the last written value', () => {
+        const deadband = createDeadbandFilter({ mode: 'percent', value: 10, maxSilence: 0 }, now);
+        deadband.filter('db', 'm v=200i');
+
+        expect(deadband.filter('db', 'm v=220i').kept).toEqual([]);
+        expect(deadband.filter('db', 'm v=179i').kept).toEqual([0]);
+    });
+
+    test('series are told apart by database, measurement, tags and field', () => {
+        const deadband = createDeadbandFilter({ mode: 'absolute', value: 0, maxSilence: 0 }, now);
+        deadband.filter('db', 'm,a=1,b=2 v=1');
+
+        const result = deadband.filter('db', [
+            'm,b=2,a=1 v=1',
+            'm,a=1,b=3 v=1',
+            'n,a=1,b=2 v=1',
+            'm,a=1,b=2 w=1'
+        ].join('\n'));
+        expect(result.kept).toEqual([1, 2, 3]);
+        expect(deadband.filter('other', 'm,a=1,b=2 v=1').kept).toEqual([0]);
+    });
+
+    test('escaped separators in tag values do not make series collide', () => {
+        const deadband = createDeadbandFilter({ mode: 'absolute', value: 0, maxSilence: 0 }, now);
+        deadband.filter('db', 'm,a=1,b=2 v=1');
+
+        // One tag a with the value '1,b=2'
+        expect(deadband.filter('db', 'm,a=1\\,b\\=2 v=1').kept).toEqual([0]);
+    });
+
+    test('a point is written when any of its fields changed, and strings on any change', () => {
+        const deadband = createDeadbandFilter({ mode: 'absolute', value: 5, maxSilence: 0 }, now);
+        deadband.filter('db', 'plc temp=20,state="run"');
+
+        expect(deadband.filter('db', 'plc temp=21,state="run"').kept).toEqual([]);
+        expect(deadband.filter('db', 'plc temp=21,state="stop"').kept).toEqual([0]);
+    });
+
+    test('the heartbeat writes unchanged values after the maximum silence', () => {
+        const deadband = createDeadbandFilter({ mode: 'absolute', value: 0, maxSilence: 60000 }, now);
+        deadband.filter('db', 'm v=1');
+        time = 59999;
+        expect(deadband.filter('db', 'm v=1').kept).toEqual([]);
+        time = 60000;
+        expect(deadband.filter('db', 'm v=1').kept).toEqual([0]);
+        time = 60001;
+        expect(deadband.filter('db', 'm v=1').kept).toEqual([]);
+    });
+
+    test('keeps lines that do not parse and drops comments', () => {
+        const deadband = createDeadbandFilter({ mode: 'absolute', value: 0, maxSilence: 0 }, now);
+        deadband.filter('db', 'm v=1');
+
+        const result = deadband.filter('db', '# readings\nm v=1\nm v=\nm v=2');
+        expect(result).toMatchObject({ lineProtocol: 'm v=\nm v=2', kept: [2, 3], suppressed: 1 });
+    });
+
+    test('forgotten values of a failed write are written again', () => {
+        const deadband = createDeadbandFilter({ mode: 'absolute', value: 0, maxSilence: 0 }, now);
+        const failed = deadband.filter('db', 'm v=1,w=1');
+        deadband.forget(failed.recorded);
+
+        expect(deadband.filter('db', 'm v=1,w=1').kept).toEqual([0]);
+        expect(deadband.filter('db', 'm v=1,w=1').kept).toEqual([]);
+    });
+
+    test('forgetting a failed write keeps values written since', () => {
+        const deadband = createDeadbandFilter({ mode: 'absolute', value: 0, maxSilence: 0 }, now);
+        const failed = deadband.filter('db', 'm v=1');
+        deadband.filter('db', 'm v=2');
+        deadband.forget(failed.recorded);
+
+        expect(deadband.filter('db', 'm v=2').kept).toEqual([]);
+    });
+});
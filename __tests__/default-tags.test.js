@@ -0,0 +1,66 @@
+/**
+ * Tests for default tags: resolving the configured table and appending the
+ * tags to raw line protocol.
+ * Imports the real helpers from the shipping code.
+ */
+
+const { resolveDefaultTags } = require('../lib/default-tags');
+const { addTagsToLineProtocol } = require('../lib/line-protocol');
+
+const env = { SITE: 'plant-3', GATEWAY: 'gw-17' };
+const substitute = (text) => text.replace(/\$\{([^}]+)\}/g, (match, name) => (name in env ? env[name] : match));
+
+describe('resolveDefaultTags', () => {
+    test('resolves literals and environment variables', () => {
+        expect(resolveDefaultTags([
+            { key: ' site ', value: '${SITE}' },
+            { key: 'gateway_id', value: 'gw-${GATEWAY}' },
+            { key: 'firmware', value: '2.4.1' }
+        ], substitute)).toEqual({
+            tags: { site: 'plant-3', gateway_id: 'gw-gw-17', firmware: '2.4.1' },
+            skipped: []
+        });
+    });
+
+    test('leaves out tags with an unset variable or an empty value', () => {
+        expect(resolveDefaultTags([
+            { key: 'firmware', value: '${FIRMWARE}' },
+            { key: 'rack', value: '' }
+        ], substitute)).toEqual({
+            tags: {},
+            skipped: ["'firmware' (environment variable FIRMWARE is not set)", "'rack' (empty value)"]
+        });
+    });
+
+    test('rejects entries without a name', () => {
+        expect(() => resolveDefaultTags([{ key: '', value: 'x' }], substitute)).toThrow('Default tag 1 needs a name');
+    });
+
+    test('missing table gives no tags', () => {
+        expect(resolveDefaultTags(undefined, substitute)).toEqual({ tags: {}, skipped: [] });
+    });
+});
+
+describe('addTagsToLineProtocol', () => {
+    test('appends the tags after the existing tag set', () => {
+        expect(addTagsToLineProtocol('cpu,host=a usage=1 1700000000', { site: 'plant-3' }))
+            .toBe('cpu,host=a,site=plant-3 usage=1 1700000000');
+        expect(addTagsToLineProtocol('cpu usage=1', { site: 'plant-3' })).toBe('cpu,site=plant-3 usage=1');
+    });
+
+    test('tags already on the line win', () => {
+        expect(addTagsToLineProtocol('cpu,site=lab usage=1', { site: 'plant-3', gateway_id: 'gw-17' }))
+            .toBe('cpu,site=lab,gateway_id=gw-17 usage=1');
+    });
+
+    test('handles escaped characters and multiple lines', () => {
+        expect(addTagsToLineProtocol(
+            'my\\ cpu,host\\=x=a\\ b,site\\ name=y usage=1\n# comment\n\nmem free=2i',
+            { 'site name': 'north wing', 'host=x': 'ignored' }
+        )).toBe('my\\ cpu,host\\=x=a\\ b,site\\ name=y usage=1\n# comment\n\nmem,site\\ name=north\\ wing,host\\=x=ignored free=2i');
+    });
+
+    test('no tags leaves the text unchanged', () => {
+        expect(addTagsToLineProtocol('cpu usage=1', {})).toBe('cpu usage=1');
+    });
+});
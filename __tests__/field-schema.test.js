@@ -0,0 +1,88 @@
+/**
+ * Tests for the write node's declared schema and value coercion.
+ * Imports the real helpers from the shipping code.
+ */
+
+const { buildSchema, coerceFieldValue } = require('../lib/field-schema');
+
+describe('buildSchema', () => {
+    test('indexes tags and field types by measurement', () => {
+        const schema = buildSchema([
+            { measurement: 'cpu', key: 'host', type: 'tag' },
+            { measurement: 'cpu', key: 'usage', type: 'float' },
+            { measurement: ' mem ', key: ' used ', type: 'uinteger' }
+        ]);
+        expect([...schema.keys()]).toEqual(['cpu', 'mem']);
+        expect([...schema.get('cpu').tags]).toEqual(['host']);
+        expect(schema.get('cpu').fields.get('usage')).toBe('float');
+        expect(schema.get('mem').fields.get('used')).toBe('uinteger');
+    });
+
+    test('a later entry for the same key replaces the earlier one', () => {
+        const schema = buildSchema([
+            { measurement: 'cpu', key: 'core', type: 'integer' },
+            { measurement: 'cpu', key: 'core', type: 'tag' }
+        ]);
+        expect(schema.get('cpu').fields.has('core')).toBe(false);
+        expect(schema.get('cpu').tags.has('core')).toBe(true);
+    });
+
+    test('missing or empty schema gives an empty map', () => {
+        expect(buildSchema(undefined).size).toBe(0);
+        expect(buildSchema([]).size).toBe(0);
+    });
+
+    test('rejects incomplete entries and unknown types', () => {
+        expect(() => buildSchema([{ measurement: 'cpu', key: '', type: 'float' }]))
+            .toThrow('Schema entry 1 needs both a measurement and a key');
+        expect(() => buildSchema([{ measurement: 'cpu', key: 'usage', type: 'double' }]))
+            .toThrow("Schema entry 1 ('cpu.usage') has unknown type 'double'");
+    });
+});
+
+describe('coerceFieldValue', () => {
+    test('float accepts numbers, BigInts and numeric strings', () => {
+        expect(coerceFieldValue(42, 'float')).toEqual({ value: 42 });
+        expect(coerceFieldValue(7n, 'float')).toEqual({ value: 7 });
+        expect(coerceFieldValue(' 1.5e3 ', 'float')).toEqual({ value: 1500 });
+        expect(coerceFieldValue('42i', 'float')).toEqual({ value: 42 });
+    });
+
+    test('float rejects booleans, text and non-finite numbers', () => {
+        expect(coerceFieldValue(true, 'float').error).toBe("'true' cannot be written as float");
+        expect(coerceFieldValue('warm', 'float').error).toBe("'warm' cannot be written as float");
+        expect(coerceFieldValue(NaN, 'float').error).toBe('NaN is not a finite number');
+    });
+
+    test('integer accepts whole numbers in any form', () => {
+        expect(coerceFieldValue(42, 'integer')).toEqual({ value: 42 });
+        expect(coerceFieldValue(42.0, 'integer')).toEqual({ value: 42 });
+        expect(coerceFieldValue(9007199254740993n, 'integer')).toEqual({ value: 9007199254740993n });
+        expect(coerceFieldValue('-9223372036854775808', 'integer')).toEqual({ value: '-9223372036854775808' });
+        expect(coerceFieldValue('42i', 'integer')).toEqual({ value: '42' });
+        expect(coerceFieldValue('1e3', 'integer')).toEqual({ value: 1000 });
+    });
+
+    test('integer rejects fractions rather than truncating them', () => {
+        expect(coerceFieldValue(4.5, 'integer').error)
+            .toBe('4.5 is not a whole number, so it cannot be written as integer');
+        expect(coerceFieldValue('4.5', 'uinteger').error).toBe("'4.5' cannot be written as unsigned integer");
+        expect(coerceFieldValue(false, 'integer').error).toBe("'false' cannot be written as integer");
+    });
+
+    test('string accepts scalars', () => {
+        expect(coerceFieldValue('ok', 'string')).toEqual({ value: 'ok' });
+        expect(coerceFieldValue(42, 'string')).toEqual({ value: '42' });
+        expect(coerceFieldValue(true, 'string')).toEqual({ value: 'true' });
+    });
+
+    test('boolean accepts booleans and true/false strings', () => {
+        expect(coerceFieldValue(false, 'boolean')).toEqual({ value: false });
+        expect(coerceFieldValue(' TRUE ', 'boolean')).toEqual({ value: true });
+        expect(coerceFieldValue(1, 'boolean').error).toBe("'1' cannot be written as boolean");
+    });
+
+    test('unknown types are reported', () => {
+        expect(coerceFieldValue(1, 'double').error).toBe("unknown field type 'double'");
+    });
+});
@@ -0,0 +1,44 @@
+/**
+ * Tests for flattening nested payload objects into fields.
+ * Imports the real helper from the shipping code.
+ */
+
+const { flattenEntries } = require('../lib/flatten');
+
+const defaults = { separator: '_', maxDepth: 3, arrays: false };
+
+describe('flattenEntries', () => {
+    test('expands nested objects into path names', () => {
+        expect(flattenEntries([['power', { l1: 230.1, l2: 229.8 }], ['ok', true]], defaults)).toEqual([
+            ['power_l1', 230.1],
+            ['power_l2', 229.8],
+            ['ok', true]
+        ]);
+    });
+
+    test('uses the separator', () => {
+        expect(flattenEntries([['a', { b: { c: 1 } }]], { ...defaults, separator: '.' })).toEqual([['a.b.c', 1]]);
+    });
+
+    test('keeps values nested deeper than the max depth', () => {
+        expect(flattenEntries([['a', { b: { c: 1 } }]], { ...defaults, maxDepth: 1 })).toEqual([['a_b', { c: 1 }]]);
+    });
+
+    test('expands arrays by index only when enabled', () => {
+        expect(flattenEntries([['phase', [1, { v: 2 }]]], { ...defaults, arrays: true })).toEqual([
+            ['phase_0', 1],
+            ['phase_1_v', 2]
+        ]);
+        expect(flattenEntries([['phase', [1, 2]]], defaults)).toEqual([['phase', [1, 2]]]);
+    });
+
+    test('leaves Dates, Buffers and BigInts alone', () => {
+        const date = new Date(0);
+        const buffer = Buffer.from('x');
+        expect(flattenEntries([['d', date], ['b', buffer], ['n', 1n]], defaults)).toEqual([
+            ['d', date],
+            ['b', buffer],
+            ['n', 1n]
+        ]);
+    });
+});
@@ -0,0 +1,76 @@
+/**
+ * Tests for the JSON GET helper used for the management API.
+ * Runs against a local HTTP server.
+ */
+
+const http = require('http');
+const { getJson } = require('../lib/http-json');
+
+let server;
+let baseUrl;
+let lastRequest;
+let respond;
+
+beforeAll(async () => {
+    server = http.createServer((req, res) => {
+        lastRequest = req;
+        respond(req, res);
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+});
+
+describe('getJson', () => {
+    test('parses the JSON body and sends the token as a Bearer header', async () => {
+        respond = (req, res) => {
+            res.setHeader('content-type', 'application/json');
+            res.end('[{"iox::database":"metrics"}]');
+        };
+        const body = await getJson(`${baseUrl}/api/v3/configure/database?format=json`, { token: 'secret' });
+
+        expect(body).toEqual([{ 'iox::database': 'metrics' }]);
+        expect(lastRequest.url).toBe('/api/v3/configure/database?format=json');
+        expect(lastRequest.headers.authorization).toBe('Bearer secret');
+    });
+
+    test('an empty body resolves to null', async () => {
+        respond = (req, res) => res.end();
+        await expect(getJson(`${baseUrl}/`)).resolves.toBeNull();
+    });
+
+    test('HTTP errors carry the status code and the response text', async () => {
+        respond = (req, res) => {
+            res.statusCode = 401;
+            res.end('invalid token');
+        };
+        await expect(getJson(`${baseUrl}/`)).rejects.toMatchObject({
+            statusCode: 401,
+            message: 'invalid token'
+        });
+    });
+
+    test('a non-JSON success response is an error', async () => {
+        respond = (req, res) => res.end('<html>');
+        await expect(getJson(`${baseUrl}/x`)).rejects.toThrow('Invalid JSON response from /x');
+    });
+
+    test('socket errors keep their code', async () => {
+        const closed = http.createServer();
+        await new Promise((resolve) => closed.listen(0, '127.0.0.1', resolve));
+        const port = closed.address().port;
+        await new Promise((resolve) => closed.close(resolve));
+
+        await expect(getJson(`http://127.0.0.1:${port}/`)).rejects.toMatchObject({ code: 'ECONNREFUSED' });
+    });
+
+    test('a request that outlives the timeout fails with ETIMEDOUT', async () => {
+        respond = () => {
+            // Never answer
+        };
+        await expect(getJson(`${baseUrl}/`, { timeout: 50 })).rejects.toMatchObject({ code: 'ETIMEDOUT' });
+    });
+});
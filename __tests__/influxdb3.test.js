@@ -5,6 +5,11 @@ const os = require('os');
 let mockLastClientOptions;
 let mockLastClientInstance;
 let mockLastPoint;
+let mockQueryRows = [];
+let mockQueryError;
+let mockServerVersion;
+// Use the library's own Point instead of MockPoint, for tests of the exact line protocol
+let mockUseRealPoint = false;
 
 jest.mock('@influxdata/influxdb3-client', () => {
   class MockInfluxDBClient {
@@ -12,6 +17,18 @@ jest.mock('@influxdata/influxdb3-client', () => {
   mockLastClientOptions = options;
   mockLastClientInstance = this;
       this.write = jest.fn().mockResolvedValue(undefined);
+      this.query = jest.fn(async function* () {
+        if (mockQueryError) {
+          throw mockQueryError;
+        }
+        yield* mockQueryRows;
+      });
+      this.getServerVersion = jest.fn(async () => {
+        if (mockServerVersion instanceof Error) {
+          throw mockServerVersion;
+        }
+        return mockServerVersion;
+      });
       this.close = jest.fn();
     }
   }
@@ -21,6 +38,7 @@ jest.mock('@influxdata/influxdb3-client', () => {
       this.measurement = measurement;
       this.tags = {};
       this.integerFields = {};
+      this.uintegerFields = {};
       this.floatFields = {};
       this.stringFields = {};
       this.booleanFields = {};
@@ -36,6 +54,10 @@ jest.mock('@influxdata/influxdb3-client', () => {
       this.integerFields[key] = value;
     }
 
+    setUintegerField(key, value) {
+      this.uintegerFields[key] = value;
+    }
+
     setFloatField(key, value) {
       this.floatFields[key] = value;
     }
@@ -67,7 +89,7 @@ jest.mock('@influxdata/influxdb3-client', () => {
 
   return {
     InfluxDBClient: MockInfluxDBClient,
-    Point: MockPoint,
+    Point: mockUseRealPoint ? jest.requireActual('@influxdata/influxdb3-client').Point : MockPoint,
     PartialWriteError: MockPartialWriteError,
     __getLastClientOptions: () => mockLastClientOptions,
     __getLastClientInstance: () => mockLastClientInstance,
@@ -75,16 +97,61 @@ jest.mock('@influxdata/influxdb3-client', () => {
   };
 });
 
+jest.mock('../lib/http-json', () => ({
+  getJson: jest.fn()
+}));
+
 function buildRED() {
   const types = {};
+  const routes = {};
   return {
+    httpAdmin: {
+      get: jest.fn((path, ...handlers) => {
+        routes[`GET ${path}`] = handlers[handlers.length - 1];
+      }),
+      post: jest.fn((path, ...handlers) => {
+        routes[`POST ${path}`] = handlers[handlers.length - 1];
+      })
+    },
+    auth: {
+      needsPermission: jest.fn(() => (req, res, next) => next())
+    },
     log: {
       info: jest.fn(),
       warn: jest.fn(),
       error: jest.fn()
     },
+    util: {
+      // Minimal stand-in for Node-RED's typed input evaluation
+      evaluateNodeProperty(value, type, _node, msg, callback) {
+        let result = value;
+        if (type === 'num') result = Number(value);
+        if (type === 'bool') result = value === 'true';
+        if (type === 'msg') result = value.split('.').reduce((o, k) => (o === null || o === undefined ? undefined : o[k]), msg);
+        if (type === 'env') result = process.env[value];
+        if (type === 'jsonata') {
+          // Stands in for JSONata: only the expressions the tests use
+          const expressions = { "$split(topic, '/')[1]": () => msg.topic.split('/')[1] };
+          if (!expressions[value]) {
+            callback(new Error(`Unknown expression ${value}`));
+            return undefined;
+          }
+          result = expressions[value]();
+        }
+        if (callback) {
+          callback(null, result);
+          return undefined;
+        }
+        return result;
+      },
+      generateId: jest.fn(() => 'parts-id')
+    },
     nodes: {
       createNode(node, config) {
+        node.id = config.id;
+        node.type = config.type;
+        node.name = config.name;
+        node.z = config.z;
         node.credentials = config.credentials || {};
         node.status = jest.fn();
         node.error = jest.fn();
@@ -100,9 +167,11 @@ function buildRED() {
       },
       getNode(id) {
         return id;
-      }
+      },
+      getCredentials: jest.fn(() => undefined)
     },
-    _types: types
+    _types: types,
+    _routes: routes
   };
 }
 
@@ -119,6 +188,10 @@ beforeEach(() => {
   mockLastClientOptions = undefined;
   mockLastClientInstance = undefined;
   mockLastPoint = undefined;
+  mockQueryRows = [];
+  mockQueryError = undefined;
+  mockServerVersion = '3.0.0';
+  mockUseRealPoint = false;
 });
 
 afterEach(() => {
@@ -279,7 +352,7 @@ describe('InfluxDB v3 write node', () => {
     expect(done).toHaveBeenCalled();
 
     if (writeNode._handlers.close) {
-      writeNode._handlers.close();
+      writeNode._handlers.close(false, jest.fn());
     }
   });
 
@@ -316,13 +389,19 @@ describe('InfluxDB v3 write node', () => {
     expect(done).toHaveBeenCalled();
 
     if (writeNode._handlers.close) {
-      writeNode._handlers.close();
+      writeNode._handlers.close(false, jest.fn());
     }
   });
 });
 
+// Shaped like the RpcError (@protobuf-ts/runtime-rpc) a failed query throws:
+// the gRPC status is a name such as 'NOT_FOUND', not a number
+function rpcError(message, code) {
+  return Object.assign(new Error(message), { name: 'RpcError', code, meta: {} });
+}
+
 // Helper to create a write node for addFieldToPoint / buildLineProtocol tests
-function createWriteNode(writeConfig) {
+function createWriteNode(writeConfig, connectionConfig) {
   const { RED, influxModule } = setup();
   const ConfigCtor = RED._types['influxdb3-config'];
   const WriteCtor = RED._types['influxdb3-write'];
@@ -331,7 +410,8 @@ function createWriteNode(writeConfig) {
     host: 'https://example.com',
     database: 'metrics',
     name: 'Test',
-    credentials: { token: 'token' }
+    credentials: { token: 'token' },
+    ...connectionConfig
   });
 
   const writeNode = new WriteCtor({
@@ -1166,6 +1246,85 @@ describe('write node – client.write failure', () => {
   });
 });
 
+describe('write compression', () => {
+  function createConfigNode(config) {
+    const { RED, influxModule } = setup();
+    const ConfigCtor = RED._types['influxdb3-config'];
+    const configNode = new ConfigCtor({
+      host: 'https://example.com',
+      database: 'metrics',
+      credentials: { token: 'token' },
+      ...config
+    });
+    configNode.getClient();
+    return influxModule.__getLastClientOptions();
+  }
+
+  test('bodies above 1000 bytes are gzipped by default', () => {
+    expect(createConfigNode().writeOptions).toEqual({ gzipThreshold: 1000 });
+  });
+
+  test('the threshold is configurable on the connection', () => {
+    expect(createConfigNode({ gzipEnabled: true, gzipThreshold: '0' }).writeOptions)
+      .toEqual({ gzipThreshold: 0 });
+    expect(createConfigNode({ gzipThreshold: 'abc' }).writeOptions).toEqual({ gzipThreshold: 1000 });
+  });
+
+  test('disabling compression never gzips', () => {
+    expect(createConfigNode({ gzipEnabled: false }).writeOptions).toEqual({ gzipThreshold: Infinity });
+  });
+
+  test('a body below the threshold reports its raw size only', async () => {
+    const { writeNode } = createWriteNode();
+    const msg = { payload: 'cpu value=1' };
+    const done = jest.fn();
+    await writeNode._handlers.input(msg, jest.fn(), done);
+
+    expect(msg.writeSize).toEqual({ raw: 11, gzipped: false, compressed: null });
+    expect(done).toHaveBeenCalledWith();
+  });
+
+  test('a body above the threshold is not compressed again just to measure it', async () => {
+    const { writeNode } = createWriteNode();
+    const lines = Array.from({ length: 100 }, (_, i) => `cpu,host=server01 value=${i}`).join('\n');
+    const msg = { payload: lines };
+    await writeNode._handlers.input(msg, jest.fn(), jest.fn());
+
+    expect(msg.writeSize).toEqual({ raw: Buffer.byteLength(lines), gzipped: true, compressed: null });
+  });
+
+  test('with measuring enabled a body above the threshold reports the gzipped size too', async () => {
+    const { writeNode } = createWriteNode({}, { gzipMeasure: true });
+    const lines = Array.from({ length: 100 }, (_, i) => `cpu,host=server01 value=${i}`).join('\n');
+    const msg = { payload: lines };
+    await writeNode._handlers.input(msg, jest.fn(), jest.fn());
+
+    expect(msg.writeSize.raw).toBe(Buffer.byteLength(lines));
+    expect(msg.writeSize.gzipped).toBe(true);
+    expect(msg.writeSize.compressed).toBeGreaterThan(0);
+    expect(msg.writeSize.compressed).toBeLessThan(msg.writeSize.raw);
+  });
+
+  test('with compression disabled nothing is measured as compressed', async () => {
+    const { RED } = setup();
+    const ConfigCtor = RED._types['influxdb3-config'];
+    const WriteCtor = RED._types['influxdb3-write'];
+    const configNode = new ConfigCtor({
+      host: 'https://example.com',
+      database: 'metrics',
+      gzipEnabled: false,
+      gzipMeasure: true,
+      credentials: { token: 'token' }
+    });
+    const writeNode = new WriteCtor({ influxdb: configNode, measurement: '', database: '' });
+    const lines = Array.from({ length: 100 }, (_, i) => `cpu value=${i}`).join('\n');
+    const msg = { payload: lines };
+    await writeNode._handlers.input(msg, jest.fn(), jest.fn());
+
+    expect(msg.writeSize).toEqual({ raw: Buffer.byteLength(lines), gzipped: false, compressed: null });
+  });
+});
+
 describe('write node – partial writes and noSync options', () => {
   test('passes no write options by default (V2 endpoint)', async () => {
     const { influxModule, writeNode } = createWriteNode();
@@ -1306,6 +1465,490 @@ describe('write node – partial writes and noSync options', () => {
   });
 });
 
+describe('write node – batching', () => {
+  function lp(n) {
+    return `cpu value=${n}`;
+  }
+
+  test('buffers messages until the flush interval and writes them in one request', async () => {
+    const { configNode, writeNode } = createWriteNode({
+      batchEnabled: true,
+      batchFlushInterval: 500
+    });
+    const client = configNode.getClient();
+    const sends = [jest.fn(), jest.fn()];
+    const dones = [jest.fn(), jest.fn()];
+    await writeNode._handlers.input({ payload: lp(1) }, sends[0], dones[0]);
+    await writeNode._handlers.input({ payload: lp(2) }, sends[1], dones[1]);
+
+    expect(client.write).not.toHaveBeenCalled();
+    expect(dones[0]).not.toHaveBeenCalled();
+    expect(writeNode.status).toHaveBeenLastCalledWith(
+      expect.objectContaining({ text: '2 line(s) buffered' })
+    );
+
+    await jest.advanceTimersByTimeAsync(500);
+
+    expect(client.write).toHaveBeenCalledTimes(1);
+    expect(client.write).toHaveBeenCalledWith('cpu value=1\ncpu value=2', 'metrics');
+    // Both messages report the size of the shared request body
+    const writeSize = { raw: 23, gzipped: false, compressed: null };
+    expect(sends[0]).toHaveBeenCalledWith({ payload: lp(1), writeSize });
+    expect(sends[1]).toHaveBeenCalledWith({ payload: lp(2), writeSize });
+    expect(dones[0]).toHaveBeenCalledWith();
+    expect(dones[1]).toHaveBeenCalledWith();
+    expect(writeNode.status).toHaveBeenCalledWith(
+      expect.objectContaining({ fill: 'green', text: 'written 2 line(s)' })
+    );
+  });
+
+  test('flushes as soon as the max line count is reached', async () => {
+    const { influxModule, writeNode } = createWriteNode({
+      batchEnabled: true,
+      batchMaxLines: 3
+    });
+    const done = jest.fn();
+    await writeNode._handlers.input({ payload: lp(1) }, jest.fn(), done);
+    await writeNode._handlers.input({ payload: `${lp(2)}\n${lp(3)}` }, jest.fn(), done);
+    await jest.advanceTimersByTimeAsync(0);
+
+    const client = influxModule.__getLastClientInstance();
+    expect(client.write).toHaveBeenCalledWith('cpu value=1\ncpu value=2\ncpu value=3', 'metrics');
+    expect(done).toHaveBeenCalledTimes(2);
+  });
+
+  test('flushes as soon as the max byte size is reached', async () => {
+    const { configNode, writeNode } = createWriteNode({
+      batchEnabled: true,
+      batchMaxBytes: 20
+    });
+    const client = configNode.getClient();
+    await writeNode._handlers.input({ payload: lp(1) }, jest.fn(), jest.fn());
+    expect(client.write).not.toHaveBeenCalled();
+
+    await writeNode._handlers.input({ payload: lp(2) }, jest.fn(), jest.fn());
+    expect(client.write).toHaveBeenCalledTimes(1);
+  });
+
+  test('messages for different databases are batched separately', async () => {
+    const { influxModule, writeNode } = createWriteNode({ batchEnabled: true });
+    await writeNode._handlers.input({ payload: lp(1) }, jest.fn(), jest.fn());
+    await writeNode._handlers.input({ payload: lp(2), database: 'other' }, jest.fn(), jest.fn());
+    await jest.advanceTimersByTimeAsync(1000);
+
+    const client = influxModule.__getLastClientInstance();
+    expect(client.write).toHaveBeenCalledWith('cpu value=1', 'metrics');
+    expect(client.write).toHaveBeenCalledWith('cpu value=2', 'other');
+  });
+
+  test('a failed batch write fails every message in the batch', async () => {
+    const { configNode, writeNode } = createWriteNode({ batchEnabled: true });
+    const client = configNode.getClient();
+    client.write = jest.fn().mockRejectedValue(new Error('service unavailable'));
+
+    const sends = [jest.fn(), jest.fn()];
+    const dones = [jest.fn(), jest.fn()];
+    await writeNode._handlers.input({ payload: lp(1) }, sends[0], dones[0]);
+    await writeNode._handlers.input({ payload: lp(2) }, sends[1], dones[1]);
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(dones[0].mock.calls[0][0].message).toBe('service unavailable');
+    expect(dones[1].mock.calls[0][0].message).toBe('service unavailable');
+    expect(sends[0]).not.toHaveBeenCalled();
+    expect(writeNode.status).toHaveBeenCalledWith(
+      expect.objectContaining({ fill: 'red', text: 'service unavailable' })
+    );
+  });
+
+  test('payload errors fail immediately without entering the batch', async () => {
+    const { influxModule, writeNode } = createWriteNode({ batchEnabled: true });
+    const done = jest.fn();
+    await writeNode._handlers.input({ payload: 'not-line-protocol' }, jest.fn(), done);
+
+    expect(done).toHaveBeenCalledWith(expect.any(Error));
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(influxModule.__getLastClientInstance()).toBeUndefined();
+  });
+
+  test('partial write errors are split per message and renumbered', async () => {
+    const { influxModule, configNode, writeNode } = createWriteNode({
+      batchEnabled: true,
+      allowPartialWrites: true
+    });
+    const { PartialWriteError } = influxModule;
+    const client = configNode.getClient();
+    client.write = jest.fn().mockRejectedValue(
+      new PartialWriteError('partial write of line protocol occurred', [
+        { lineNumber: 3, errorMessage: 'bad value', originalLine: 'cpu value=x' }
+      ])
+    );
+
+    const msgs = [{ payload: lp(1) }, { payload: `${lp(2)}\ncpu value=x` }];
+    const sends = [jest.fn(), jest.fn()];
+    const dones = [jest.fn(), jest.fn()];
+    await writeNode._handlers.input(msgs[0], sends[0], dones[0]);
+    await writeNode._handlers.input(msgs[1], sends[1], dones[1]);
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(msgs[0].partialWriteErrors).toBeUndefined();
+    expect(msgs[1].partialWriteErrors).toEqual([
+      { lineNumber: 2, errorMessage: 'bad value', originalLine: 'cpu value=x' }
+    ]);
+    expect(sends[0]).toHaveBeenCalledWith(msgs[0]);
+    expect(sends[1]).toHaveBeenCalledWith(msgs[1]);
+    expect(dones[0]).toHaveBeenCalledWith();
+    expect(dones[1]).toHaveBeenCalledWith();
+  });
+
+  test('closing the node flushes pending batches before calling done', async () => {
+    const { influxModule, writeNode } = createWriteNode({ batchEnabled: true });
+    const msgDone = jest.fn();
+    await writeNode._handlers.input({ payload: lp(1) }, jest.fn(), msgDone);
+
+    await new Promise((resolve) => writeNode._handlers.close(false, resolve));
+
+    expect(influxModule.__getLastClientInstance().write).toHaveBeenCalledWith('cpu value=1', 'metrics');
+    expect(msgDone).toHaveBeenCalledWith();
+  });
+});
+
+describe('write node – retries', () => {
+  function httpError(statusCode, headers) {
+    const error = new Error(`HTTP ${statusCode}`);
+    error.statusCode = statusCode;
+    error.headers = headers;
+    return error;
+  }
+
+  const retryConfig = {
+    retryEnabled: true,
+    retryMaxAttempts: 3,
+    retryInitialDelay: 100,
+    retryMultiplier: 2,
+    retryJitter: 0
+  };
+
+  test('retries a 503 with backoff and succeeds, recording attempts on msg', async () => {
+    const { configNode, writeNode } = createWriteNode(retryConfig);
+    const client = configNode.getClient();
+    client.write = jest.fn()
+      .mockRejectedValueOnce(httpError(503))
+      .mockRejectedValueOnce(httpError(503))
+      .mockResolvedValue(undefined);
+
+    const msg = { payload: 'cpu value=1' };
+    const send = jest.fn();
+    const done = jest.fn();
+    const pending = writeNode._handlers.input(msg, send, done);
+
+    await jest.advanceTimersByTimeAsync(100);
+    expect(client.write).toHaveBeenCalledTimes(2);
+    expect(writeNode.status).toHaveBeenCalledWith(
+      expect.objectContaining({ fill: 'yellow', text: 'retry 3/3 in 1s' })
+    );
+    await jest.advanceTimersByTimeAsync(200);
+    await pending;
+
+    expect(client.write).toHaveBeenCalledTimes(3);
+    expect(msg.writeAttempts).toBe(3);
+    expect(send).toHaveBeenCalledWith(msg);
+    expect(done).toHaveBeenCalledWith();
+    expect(writeNode.status).toHaveBeenCalledWith(
+      expect.objectContaining({ fill: 'green', text: 'written after 3 attempts' })
+    );
+  });
+
+  test('honors Retry-After from a 429 response', async () => {
+    const { configNode, writeNode } = createWriteNode(retryConfig);
+    const client = configNode.getClient();
+    client.write = jest.fn()
+      .mockRejectedValueOnce(httpError(429, { 'retry-after': '5' }))
+      .mockResolvedValue(undefined);
+
+    const done = jest.fn();
+    const pending = writeNode._handlers.input({ payload: 'cpu value=1' }, jest.fn(), done);
+
+    await jest.advanceTimersByTimeAsync(4999);
+    expect(client.write).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+    await pending;
+    expect(client.write).toHaveBeenCalledTimes(2);
+    expect(done).toHaveBeenCalledWith();
+  });
+
+  test('caps a long Retry-After at the max delay', async () => {
+    const { configNode, writeNode } = createWriteNode({ ...retryConfig, retryMaxDelay: 2000 });
+    const client = configNode.getClient();
+    client.write = jest.fn()
+      .mockRejectedValueOnce(httpError(503, { 'retry-after': '3600' }))
+      .mockResolvedValue(undefined);
+
+    const done = jest.fn();
+    const pending = writeNode._handlers.input({ payload: 'cpu value=1' }, jest.fn(), done);
+
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(client.write).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+    await pending;
+    expect(client.write).toHaveBeenCalledTimes(2);
+    expect(done).toHaveBeenCalledWith();
+  });
+
+  test('gives up after max attempts and fails with the last error', async () => {
+    const { configNode, writeNode } = createWriteNode(retryConfig);
+    const client = configNode.getClient();
+    client.write = jest.fn().mockRejectedValue(httpError(503));
+
+    const msg = { payload: 'cpu value=1' };
+    const done = jest.fn();
+    const pending = writeNode._handlers.input(msg, jest.fn(), done);
+    await jest.advanceTimersByTimeAsync(1000);
+    await pending;
+
+    expect(client.write).toHaveBeenCalledTimes(3);
+    expect(done.mock.calls[0][0].statusCode).toBe(503);
+    expect(msg.writeAttempts).toBe(3);
+  });
+
+  test('does not retry permanent 400 errors', async () => {
+    const { configNode, writeNode } = createWriteNode(retryConfig);
+    const client = configNode.getClient();
+    client.write = jest.fn().mockRejectedValue(httpError(400));
+
+    const msg = { payload: 'cpu value=1' };
+    const done = jest.fn();
+    await writeNode._handlers.input(msg, jest.fn(), done);
+
+    expect(client.write).toHaveBeenCalledTimes(1);
+    expect(done.mock.calls[0][0].statusCode).toBe(400);
+    expect(msg.writeAttempts).toBe(1);
+  });
+
+  test('does not retry when retries are disabled', async () => {
+    const { configNode, writeNode } = createWriteNode();
+    const client = configNode.getClient();
+    client.write = jest.fn().mockRejectedValue(httpError(503));
+
+    const msg = { payload: 'cpu value=1' };
+    const done = jest.fn();
+    await writeNode._handlers.input(msg, jest.fn(), done);
+
+    expect(client.write).toHaveBeenCalledTimes(1);
+    expect(msg.writeAttempts).toBeUndefined();
+  });
+
+  test('closing the node abandons a pending retry', async () => {
+    const { configNode, writeNode } = createWriteNode(retryConfig);
+    const client = configNode.getClient();
+    client.write = jest.fn().mockRejectedValue(httpError(503));
+
+    const done = jest.fn();
+    const pending = writeNode._handlers.input({ payload: 'cpu value=1' }, jest.fn(), done);
+    await jest.advanceTimersByTimeAsync(0);
+    writeNode._handlers.close(false, jest.fn());
+    await pending;
+
+    expect(client.write).toHaveBeenCalledTimes(1);
+    expect(done.mock.calls[0][0].statusCode).toBe(503);
+  });
+});
+
+describe('write node – store-and-forward spool', () => {
+  let spoolDir;
+
+  beforeEach(() => {
+    spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'influx-write-spool-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(spoolDir, { recursive: true, force: true });
+  });
+
+  function unreachable() {
+    const error = new Error('connect ECONNREFUSED');
+    error.code = 'ECONNREFUSED';
+    return error;
+  }
+
+  function spoolConfig(extra) {
+    return { id: 'write1', spoolEnabled: true, spoolDir, spoolReplayInterval: 1000, ...extra };
+  }
+
+  function spooledFiles(id) {
+    return fs.readdirSync(path.join(spoolDir, id || 'write1'));
+  }
+
+  test('a transient failure spools the write and forwards the message', async () => {
+    const { configNode, writeNode } = createWriteNode(spoolConfig());
+    const client = configNode.getClient();
+    client.write = jest.fn().mockRejectedValue(unreachable());
+
+    const msg = { payload: 'cpu value=1' };
+    const send = jest.fn();
+    const done = jest.fn();
+    await writeNode._handlers.input(msg, send, done);
+
+    expect(msg.spooled).toBe(true);
+    expect(send).toHaveBeenCalledWith(msg);
+    expect(done).toHaveBeenCalledWith();
+    expect(spooledFiles()).toHaveLength(1);
+    expect(writeNode.status).toHaveBeenCalledWith(
+      expect.objectContaining({ fill: 'yellow', text: '1 line(s) spooled' })
+    );
+  });
+
+  test('permanent failures are not spooled', async () => {
+    const { configNode, writeNode } = createWriteNode(spoolConfig());
+    const client = configNode.getClient();
+    const badRequest = new Error('bad line protocol');
+    badRequest.statusCode = 400;
+    client.write = jest.fn().mockRejectedValue(badRequest);
+
+    const done = jest.fn();
+    await writeNode._handlers.input({ payload: 'cpu value=1' }, jest.fn(), done);
+
+    expect(done).toHaveBeenCalledWith(badRequest);
+    expect(spooledFiles()).toHaveLength(0);
+  });
+
+  test('new writes queue behind the backlog and everything replays in order', async () => {
+    const { configNode, writeNode } = createWriteNode(spoolConfig());
+    const client = configNode.getClient();
+    client.write = jest.fn().mockRejectedValueOnce(unreachable());
+
+    await writeNode._handlers.input({ payload: 'cpu value=1' }, jest.fn(), jest.fn());
+    const second = { payload: 'cpu value=2' };
+    await writeNode._handlers.input(second, jest.fn(), jest.fn());
+
+    // The second write went straight to the spool to keep the order
+    expect(client.write).toHaveBeenCalledTimes(1);
+    expect(second.spooled).toBe(true);
+
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(client.write.mock.calls.slice(1).map(c => c[0])).toEqual(['cpu value=1', 'cpu value=2']);
+    expect(spooledFiles()).toHaveLength(0);
+    expect(writeNode.status).toHaveBeenCalledWith(
+      expect.objectContaining({ fill: 'green', text: 'spool replayed' })
+    );
+
+    // Backlog drained: writes go direct again
+    await writeNode._handlers.input({ payload: 'cpu value=3' }, jest.fn(), jest.fn());
+    expect(client.write).toHaveBeenLastCalledWith('cpu value=3', 'metrics');
+  });
+
+  test('replay keeps the backlog while InfluxDB is still unreachable', async () => {
+    const { configNode, writeNode } = createWriteNode(spoolConfig());
+    const client = configNode.getClient();
+    client.write = jest.fn().mockRejectedValue(unreachable());
+
+    await writeNode._handlers.input({ payload: 'cpu value=1' }, jest.fn(), jest.fn());
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(client.write).toHaveBeenCalledTimes(2);
+    expect(spooledFiles()).toHaveLength(1);
+
+    client.write.mockResolvedValue(undefined);
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(spooledFiles()).toHaveLength(0);
+  });
+
+  test('replay discards entries the server rejects outright', async () => {
+    const { configNode, writeNode } = createWriteNode(spoolConfig());
+    const client = configNode.getClient();
+    const badRequest = new Error('bad line protocol');
+    badRequest.statusCode = 400;
+    client.write = jest.fn()
+      .mockRejectedValueOnce(unreachable())
+      .mockRejectedValueOnce(badRequest);
+
+    await writeNode._handlers.input({ payload: 'cpu value=1' }, jest.fn(), jest.fn());
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(writeNode.error).toHaveBeenCalledWith(expect.stringContaining('Discarding spooled write'));
+    expect(spooledFiles()).toHaveLength(0);
+  });
+
+  test('a spool failure during replay is reported and the replay rescheduled', async () => {
+    const { configNode, writeNode } = createWriteNode(spoolConfig());
+    const client = configNode.getClient();
+    client.write = jest.fn().mockRejectedValueOnce(unreachable());
+
+    await writeNode._handlers.input({ payload: 'cpu value=1' }, jest.fn(), jest.fn());
+    await writeNode._handlers.input({ payload: 'cpu value=2' }, jest.fn(), jest.fn());
+
+    const rmSync = jest.spyOn(fs, 'rmSync').mockImplementationOnce(() => {
+      throw new Error('EIO: i/o error');
+    });
+    try {
+      await jest.advanceTimersByTimeAsync(1000);
+    } finally {
+      rmSync.mockRestore();
+    }
+
+    expect(writeNode.error).toHaveBeenCalledWith('Spool replay failed: EIO: i/o error');
+    expect(client.write).toHaveBeenCalledTimes(2);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(client.write).toHaveBeenLastCalledWith('cpu value=2', 'metrics');
+  });
+
+  test('a backlog from before a restart is replayed on start', async () => {
+    const first = createWriteNode(spoolConfig());
+    first.configNode.getClient().write = jest.fn().mockRejectedValue(unreachable());
+    await first.writeNode._handlers.input({ payload: 'cpu value=1' }, jest.fn(), jest.fn());
+    first.writeNode._handlers.close(false, jest.fn());
+
+    const { configNode, writeNode } = createWriteNode(spoolConfig());
+    const client = configNode.getClient();
+    expect(writeNode.status).toHaveBeenCalledWith(
+      expect.objectContaining({ text: '1 line(s) spooled' })
+    );
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(client.write).toHaveBeenCalledWith('cpu value=1', 'metrics');
+    expect(spooledFiles()).toHaveLength(0);
+  });
+
+  test('write nodes sharing a directory keep separate spools', async () => {
+    const first = createWriteNode(spoolConfig());
+    first.configNode.getClient().write = jest.fn().mockRejectedValue(unreachable());
+    await first.writeNode._handlers.input({ payload: 'cpu value=1' }, jest.fn(), jest.fn());
+
+    const second = createWriteNode(spoolConfig({ id: 'write2' }));
+    const client = second.configNode.getClient();
+    await jest.advanceTimersByTimeAsync(0);
+
+    // The second node has no backlog of its own to replay
+    expect(client.write).not.toHaveBeenCalled();
+    expect(spooledFiles('write1')).toHaveLength(1);
+    expect(spooledFiles('write2')).toHaveLength(0);
+  });
+
+  test('no spool directory is created without a connection', () => {
+    const dir = path.join(spoolDir, 'unused');
+    const { RED } = setup();
+    const WriteCtor = RED._types['influxdb3-write'];
+    const writeNode = new WriteCtor({ influxdb: null, spoolEnabled: true, spoolDir: dir });
+
+    expect(writeNode.error).toHaveBeenCalledWith('InfluxDB v3 config not set');
+    expect(fs.existsSync(dir)).toBe(false);
+  });
+
+  test('a write the spool cannot hold fails the message', async () => {
+    const { configNode, writeNode } = createWriteNode(spoolConfig({ spoolMaxMB: 1 }));
+    const client = configNode.getClient();
+    client.write = jest.fn().mockRejectedValue(unreachable());
+
+    const done = jest.fn();
+    const huge = `log message="${'x'.repeat(1024 * 1024)}"`;
+    await writeNode._handlers.input({ payload: huge }, jest.fn(), done);
+
+    expect(done.mock.calls[0][0].message).toContain('the spool is full');
+    expect(spooledFiles()).toHaveLength(0);
+  });
+});
+
 describe('config node – close()', () => {
   test('close() closes the cached client and clears the reference', () => {
     const { configNode } = createWriteNode();
@@ -1516,22 +2159,79 @@ describe('buildLineProtocol – non-object fields property', () => {
   });
 });
 
-describe('addFieldToPoint – unsafe integer suffix', () => {
-  test('integer suffix beyond Number.MAX_SAFE_INTEGER warns about precision loss', async () => {
+describe('addFieldToPoint – exact 64-bit integers', () => {
+  const { exactIntegerPlaceholder } = require('../lib/line-protocol');
+
+  async function writeFields(payload) {
     const { influxModule, writeNode } = createWriteNode();
-    const msg = {
-      measurement: 'sensor',
-      payload: { fields: { big: '9007199254740993i' } }
-    };
-    const send = jest.fn();
-    const done = jest.fn();
-    await writeNode._handlers.input(msg, send, done);
+    await writeNode._handlers.input({ measurement: 'sensor', payload }, jest.fn(), jest.fn());
+    return { point: influxModule.__getLastPoint(), writeNode };
+  }
 
-    expect(writeNode.warn).toHaveBeenCalledWith(
-      expect.stringContaining("exceeds JavaScript's safe integer range")
+  test('integer suffix beyond Number.MAX_SAFE_INTEGER is kept exact', async () => {
+    const { point, writeNode } = await writeFields({ fields: { big: '9007199254740993i' } });
+
+    expect(writeNode.warn).not.toHaveBeenCalled();
+    expect(point.integerFields.big).toBeUndefined();
+    expect(point.stringFields.big).toBe(exactIntegerPlaceholder(9007199254740993n, false));
+  });
+
+  test('BigInt values are written as integers', async () => {
+    const { point } = await writeFields({ fields: { small: 42n, big: 9223372036854775807n } });
+
+    expect(point.integerFields.small).toBe(42);
+    expect(point.stringFields.big).toBe(exactIntegerPlaceholder(9223372036854775807n, false));
+  });
+
+  test('u suffix writes an unsigned integer', async () => {
+    const { point } = await writeFields({ fields: { count: '42u', max: '18446744073709551615u' } });
+
+    expect(point.uintegerFields.count).toBe(42);
+    expect(point.stringFields.max).toBe(exactIntegerPlaceholder(18446744073709551615n, true));
+  });
+
+  test('fields listed in uintegers are written as unsigned integers', async () => {
+    const { point, writeNode } = await writeFields({
+      fields: { bytes: 1024, total: 12n, counter: '18446744073709551615', ratio: 2.5 },
+      uintegers: ['bytes', 'total', 'counter', 'ratio']
+    });
+
+    expect(point.uintegerFields).toEqual({ bytes: 1024, total: 12, ratio: 2 });
+    expect(point.stringFields.counter).toBe(exactIntegerPlaceholder(18446744073709551615n, true));
+    expect(writeNode.warn).toHaveBeenCalledWith(expect.stringContaining("'ratio' is marked as unsigned integer"));
+  });
+
+  test('uintegers is a reserved key in the flat format', async () => {
+    const { point } = await writeFields({ bytes: 7, uintegers: ['bytes'] });
+
+    expect(point.uintegerFields.bytes).toBe(7);
+    expect(point.stringFields.uintegers).toBeUndefined();
+  });
+
+  test('digit strings of fields listed in integers are parsed exactly', async () => {
+    const { point } = await writeFields({
+      fields: { id: '-9223372036854775808', name: '123' },
+      integers: ['id']
+    });
+
+    expect(point.stringFields.id).toBe(exactIntegerPlaceholder(-9223372036854775808n, false));
+    expect(point.stringFields.name).toBe('123');
+  });
+
+  test('out-of-range values are skipped with a warning', async () => {
+    const { point, writeNode } = await writeFields({
+      fields: { big: 9223372036854775808n, neg: '-1u', ok: 1 }
+    });
+
+    expect(point.stringFields.big).toBeUndefined();
+    expect(point.stringFields.neg).toBeUndefined();
+    expect(point.floatFields.ok).toBe(1);
+    expect(writeNode.warn).toHaveBeenCalledWith(
+      expect.stringContaining("Skipping field 'big': integer value 9223372036854775808 is outside the 64-bit range")
+    );
+    expect(writeNode.warn).toHaveBeenCalledWith(
+      expect.stringContaining("Skipping field 'neg': unsigned value -1 is outside the range 0 to 18446744073709551615")
     );
-    const point = influxModule.__getLastPoint();
-    expect(point.integerFields.big).toBeDefined();
   });
 
   test('integer suffix within safe range does not warn', async () => {
@@ -1628,6 +2328,163 @@ describe('buildLineProtocol – timestamp plausibility', () => {
   });
 });
 
+describe('write node – timestamp precision', () => {
+  test('without a declared precision no precision is sent', async () => {
+    const { influxModule, writeNode } = createWriteNode();
+    await writeNode._handlers.input({ payload: 'cpu value=1 1700000000000000000' }, jest.fn(), jest.fn());
+
+    const client = influxModule.__getLastClientInstance();
+    expect(client.write).toHaveBeenCalledWith('cpu value=1 1700000000000000000', 'metrics');
+  });
+
+  test('the node precision is sent with raw line protocol', async () => {
+    const { influxModule, writeNode } = createWriteNode({ precision: 's' });
+    const done = jest.fn();
+    await writeNode._handlers.input({ payload: 'cpu value=1 1700000000' }, jest.fn(), done);
+
+    const client = influxModule.__getLastClientInstance();
+    expect(client.write).toHaveBeenCalledWith(
+      'cpu value=1 1700000000', 'metrics', undefined, { precision: 's' }
+    );
+    expect(done).toHaveBeenCalledWith();
+  });
+
+  test.each([
+    ['s', '1767225600'],
+    ['ms', '1767225600000']
+  ])('points without a timestamp are stamped in the declared precision (%s)', async (precision, expected) => {
+    mockUseRealPoint = true;
+    jest.setSystemTime(Date.UTC(2026, 0, 1));
+    const { influxModule, writeNode } = createWriteNode({ precision });
+    await writeNode._handlers.input({ payload: { fields: { value: 1 } } }, jest.fn(), jest.fn());
+
+    const client = influxModule.__getLastClientInstance();
+    expect(client.write).toHaveBeenCalledWith(
+      `test_measurement value=1 ${expected}`, 'metrics', undefined, { precision }
+    );
+  });
+
+  test('points without a timestamp get a microsecond timestamp in us precision', async () => {
+    mockUseRealPoint = true;
+    jest.setSystemTime(Date.UTC(2026, 0, 1));
+    const { influxModule, writeNode } = createWriteNode({ precision: 'us' });
+    await writeNode._handlers.input({ payload: { fields: { value: 1 } } }, jest.fn(), jest.fn());
+
+    const lp = influxModule.__getLastClientInstance().write.mock.calls[0][0];
+    expect(lp).toMatch(/^test_measurement value=1 1767225600000\d{3}$/);
+  });
+
+  test('numeric timestamps are written verbatim in the declared precision', async () => {
+    const { influxModule, writeNode } = createWriteNode({ precision: 's' });
+    const msg = { payload: { fields: { value: 1 }, timestamp: 1700000000 } };
+    await writeNode._handlers.input(msg, jest.fn(), jest.fn());
+
+    expect(influxModule.__getLastPoint().timestamp).toBe('1700000000');
+    expect(writeNode.warn).not.toHaveBeenCalled();
+  });
+
+  test('nanosecond strings and BigInts keep every digit', async () => {
+    const { influxModule, writeNode } = createWriteNode({ precision: 'ns' });
+    await writeNode._handlers.input(
+      { payload: { fields: { value: 1 }, timestamp: '1700000000123456789' } }, jest.fn(), jest.fn()
+    );
+    expect(influxModule.__getLastPoint().timestamp).toBe('1700000000123456789');
+
+    await writeNode._handlers.input(
+      { payload: { fields: { value: 1 } }, timestamp: 1700000000987654321n }, jest.fn(), jest.fn()
+    );
+    expect(influxModule.__getLastPoint().timestamp).toBe('1700000000987654321');
+    expect(writeNode.warn).not.toHaveBeenCalled();
+  });
+
+  test('Dates and date strings are converted to the declared precision', async () => {
+    const { influxModule, writeNode } = createWriteNode({ precision: 'us' });
+    await writeNode._handlers.input(
+      { payload: { fields: { value: 1 }, timestamp: new Date(1700000000123) } }, jest.fn(), jest.fn()
+    );
+    expect(influxModule.__getLastPoint().timestamp).toBe('1700000000123000');
+
+    await writeNode._handlers.input(
+      { payload: { fields: { value: 1 }, timestamp: '2023-11-14T22:13:20.123456Z' } }, jest.fn(), jest.fn()
+    );
+    expect(influxModule.__getLastPoint().timestamp).toBe('1700000000123456');
+  });
+
+  test('msg.precision overrides the node setting', async () => {
+    const { influxModule, writeNode } = createWriteNode({ precision: 's' });
+    const msg = { precision: 'NS', payload: { fields: { value: 1 }, timestamp: '1700000000123456789' } };
+    await writeNode._handlers.input(msg, jest.fn(), jest.fn());
+
+    const client = influxModule.__getLastClientInstance();
+    expect(client.write).toHaveBeenCalledWith(expect.any(String), 'metrics', undefined, { precision: 'ns' });
+    expect(influxModule.__getLastPoint().timestamp).toBe('1700000000123456789');
+  });
+
+  test('precision is combined with the V3 endpoint options', async () => {
+    const { influxModule, writeNode } = createWriteNode({ allowPartialWrites: true, precision: 'ms' });
+    await writeNode._handlers.input({ payload: 'cpu value=1 1700000000000' }, jest.fn(), jest.fn());
+
+    const client = influxModule.__getLastClientInstance();
+    expect(client.write).toHaveBeenCalledWith(
+      expect.any(String), 'metrics', undefined, { useV2Api: false, precision: 'ms' }
+    );
+  });
+
+  test('a timestamp that looks like the wrong precision warns but is written', async () => {
+    const { influxModule, writeNode } = createWriteNode({ precision: 'ms' });
+    await writeNode._handlers.input(
+      { payload: { fields: { value: 1 }, timestamp: 1700000000 } }, jest.fn(), jest.fn()
+    );
+
+    expect(writeNode.warn).toHaveBeenCalledWith(expect.stringContaining("in 'ms' precision resolves to 1970"));
+    expect(influxModule.__getLastPoint().timestamp).toBe('1700000000');
+  });
+
+  test('a fraction of the declared unit is dropped with a warning', async () => {
+    const { influxModule, writeNode } = createWriteNode({ precision: 's' });
+    await writeNode._handlers.input(
+      { payload: { fields: { value: 1 }, timestamp: 1700000000.75 } }, jest.fn(), jest.fn()
+    );
+
+    expect(writeNode.warn).toHaveBeenCalledWith(
+      "Numeric timestamp 1700000000.75 has a fraction that 's' precision cannot hold; " +
+      'it was written as 1700000000. Declare a finer precision to keep it.'
+    );
+    expect(influxModule.__getLastPoint().timestamp).toBe('1700000000');
+
+    writeNode.warn.mockClear();
+    await writeNode._handlers.input(
+      { payload: { fields: { value: 1 }, timestamp: 1700000000 } }, jest.fn(), jest.fn()
+    );
+    expect(writeNode.warn).not.toHaveBeenCalled();
+  });
+
+  test('an invalid msg.precision fails the message', async () => {
+    const { influxModule, writeNode } = createWriteNode();
+    const done = jest.fn();
+    await writeNode._handlers.input({ precision: 'minutes', payload: 'cpu value=1' }, jest.fn(), done);
+
+    expect(done.mock.calls[0][0].message).toContain("Invalid precision 'minutes'");
+    expect(influxModule.__getLastClientInstance()).toBeUndefined();
+  });
+
+  test('batches are kept apart per precision', async () => {
+    const { influxModule, configNode, writeNode } = createWriteNode({ batchEnabled: true, batchFlushInterval: 100 });
+    configNode.getClient();
+    const client = influxModule.__getLastClientInstance();
+    writeNode._handlers.input({ payload: 'cpu value=1 1700000000', precision: 's' }, jest.fn(), jest.fn());
+    writeNode._handlers.input({ payload: 'cpu value=2 1700000000000' }, jest.fn(), jest.fn());
+    writeNode._handlers.input({ payload: 'cpu value=3 1700000001', precision: 's' }, jest.fn(), jest.fn());
+    await jest.advanceTimersByTimeAsync(100);
+
+    expect(client.write).toHaveBeenCalledTimes(2);
+    expect(client.write).toHaveBeenCalledWith(
+      'cpu value=1 1700000000\ncpu value=3 1700000001', 'metrics', undefined, { precision: 's' }
+    );
+    expect(client.write).toHaveBeenCalledWith('cpu value=2 1700000000000', 'metrics');
+  });
+});
+
 describe('write node – multi-line string payload validation', () => {
   test('valid multi-line line protocol is written as-is', async () => {
     const { influxModule, writeNode } = createWriteNode();
@@ -1694,3 +2551,1549 @@ describe('InfluxDB v3 config node – credentials warning', () => {
   });
 });
 
+
+// Helper to create a query node backed by the mocked client
+function createQueryNode(queryConfig) {
+  const { RED, influxModule } = setup();
+  const ConfigCtor = RED._types['influxdb3-config'];
+  const QueryCtor = RED._types['influxdb3-query'];
+
+  const configNode = new ConfigCtor({
+    host: 'https://example.com',
+    database: 'metrics',
+    name: 'Test',
+    credentials: { token: 'token' }
+  });
+
+  const queryNode = new QueryCtor({
+    influxdb: configNode,
+    query: 'SELECT * FROM cpu',
+    database: '',
+    ...queryConfig
+  });
+
+  return { RED, influxModule, configNode, queryNode };
+}
+
+describe('InfluxDB v3 query node', () => {
+  test('runs the configured query and returns rows as an array in msg.payload', async () => {
+    mockQueryRows = [{ host: 'a', usage: 1.5 }, { host: 'b', usage: 2.5 }];
+    const { influxModule, queryNode } = createQueryNode();
+    const msg = { payload: 'trigger' };
+    const send = jest.fn();
+    const done = jest.fn();
+    await queryNode._handlers.input(msg, send, done);
+
+    const client = influxModule.__getLastClientInstance();
+    expect(client.query).toHaveBeenCalledWith('SELECT * FROM cpu', 'metrics', { type: 'sql' });
+    expect(msg.payload).toEqual(mockQueryRows);
+    expect(send).toHaveBeenCalledWith(msg);
+    expect(done.mock.calls[0][0]).toBeUndefined();
+    expect(queryNode.status).toHaveBeenCalledWith(
+      expect.objectContaining({ fill: 'green', text: '2 row(s)' })
+    );
+  });
+
+  test('msg.query overrides the configured query', async () => {
+    const { influxModule, queryNode } = createQueryNode();
+    const msg = { query: ' SELECT 1 ' };
+    const send = jest.fn();
+    const done = jest.fn();
+    await queryNode._handlers.input(msg, send, done);
+
+    const client = influxModule.__getLastClientInstance();
+    expect(client.query).toHaveBeenCalledWith('SELECT 1', 'metrics', { type: 'sql' });
+    expect(msg.payload).toEqual([]);
+  });
+
+  test('database resolves msg → node → config', async () => {
+    const { influxModule, queryNode } = createQueryNode({ database: 'node-db' });
+    const send = jest.fn();
+    const done = jest.fn();
+
+    await queryNode._handlers.input({ database: '  ' }, send, done);
+    const client = influxModule.__getLastClientInstance();
+    expect(client.query).toHaveBeenLastCalledWith('SELECT * FROM cpu', 'node-db', { type: 'sql' });
+
+    await queryNode._handlers.input({ database: 'msg-db' }, send, done);
+    expect(client.query).toHaveBeenLastCalledWith('SELECT * FROM cpu', 'msg-db', { type: 'sql' });
+  });
+
+  test('node queryType selects InfluxQL', async () => {
+    const { influxModule, queryNode } = createQueryNode({
+      queryType: 'influxql',
+      query: 'SELECT mean(value) FROM cpu'
+    });
+    const done = jest.fn();
+    await queryNode._handlers.input({}, jest.fn(), done);
+
+    const client = influxModule.__getLastClientInstance();
+    expect(client.query).toHaveBeenCalledWith('SELECT mean(value) FROM cpu', 'metrics', { type: 'influxql' });
+    expect(done.mock.calls[0][0]).toBeUndefined();
+  });
+
+  test('msg.queryType overrides the node setting (case-insensitive)', async () => {
+    const { influxModule, queryNode } = createQueryNode({ queryType: 'sql' });
+    await queryNode._handlers.input({ queryType: ' InfluxQL ' }, jest.fn(), jest.fn());
+
+    const client = influxModule.__getLastClientInstance();
+    expect(client.query).toHaveBeenCalledWith('SELECT * FROM cpu', 'metrics', { type: 'influxql' });
+  });
+
+  test('unknown msg.queryType errors without calling the client', async () => {
+    const { influxModule, queryNode } = createQueryNode();
+    const send = jest.fn();
+    const done = jest.fn();
+    await queryNode._handlers.input({ queryType: 'flux' }, send, done);
+
+    expect(done.mock.calls[0][0].message).toContain("Invalid query type 'flux'");
+    expect(send).not.toHaveBeenCalled();
+    const client = influxModule.__getLastClientInstance();
+    expect(client.query).not.toHaveBeenCalled();
+  });
+
+  test('msg.params are bound as native query parameters', async () => {
+    const { influxModule, queryNode } = createQueryNode({
+      query: 'SELECT * FROM temp WHERE room = $room AND time >= $since'
+    });
+    const msg = { params: { room: 'lab', since: new Date(Date.UTC(2024, 0, 1)) } };
+    const done = jest.fn();
+    await queryNode._handlers.input(msg, jest.fn(), done);
+
+    const client = influxModule.__getLastClientInstance();
+    expect(client.query).toHaveBeenCalledWith(
+      'SELECT * FROM temp WHERE room = $room AND time >= $since',
+      'metrics',
+      { type: 'sql', params: { room: 'lab', since: '2024-01-01T00:00:00.000Z' } }
+    );
+    expect(done.mock.calls[0][0]).toBeUndefined();
+  });
+
+  test('node parameters are evaluated as typed inputs and msg.params override them', async () => {
+    const { influxModule, queryNode } = createQueryNode({
+      query: 'SELECT * FROM temp WHERE room = $room AND limit_val = $limit AND active = $active',
+      params: [
+        { name: '$room', value: 'topicRoom', type: 'msg' },
+        { name: 'limit', value: '10', type: 'num' },
+        { name: 'active', value: 'true', type: 'bool' }
+      ]
+    });
+    const msg = { topicRoom: 'kitchen', params: { limit: 5 } };
+    await queryNode._handlers.input(msg, jest.fn(), jest.fn());
+
+    const client = influxModule.__getLastClientInstance();
+    expect(client.query.mock.calls[0][2].params).toEqual({ room: 'kitchen', limit: 5, active: true });
+  });
+
+  test('an unbound placeholder errors without calling the client', async () => {
+    const { influxModule, queryNode } = createQueryNode({
+      query: 'SELECT * FROM temp WHERE room = $room'
+    });
+    const send = jest.fn();
+    const done = jest.fn();
+    await queryNode._handlers.input({}, send, done);
+
+    expect(done.mock.calls[0][0].message).toContain('$room have no value');
+    expect(send).not.toHaveBeenCalled();
+    expect(influxModule.__getLastClientInstance().query).not.toHaveBeenCalled();
+  });
+
+  test('a parameter value of an unsupported type errors', async () => {
+    const { queryNode } = createQueryNode({ query: 'SELECT * FROM temp WHERE room = $room' });
+    const done = jest.fn();
+    await queryNode._handlers.input({ params: { room: { name: 'lab' } } }, jest.fn(), done);
+
+    expect(done.mock.calls[0][0].message).toContain("'room' has unsupported type 'object'");
+  });
+
+  test('non-object msg.params errors', async () => {
+    const { queryNode } = createQueryNode();
+    const done = jest.fn();
+    await queryNode._handlers.input({ params: ['lab'] }, jest.fn(), done);
+
+    expect(done.mock.calls[0][0].message).toContain('msg.params must be an object');
+  });
+
+  test('missing query errors without calling the client', async () => {
+    const { influxModule, queryNode } = createQueryNode({ query: '' });
+    const msg = { query: '   ' };
+    const send = jest.fn();
+    const done = jest.fn();
+    await queryNode._handlers.input(msg, send, done);
+
+    expect(done).toHaveBeenCalledWith(expect.any(Error));
+    expect(done.mock.calls[0][0].message).toContain('Query not specified');
+    expect(send).not.toHaveBeenCalled();
+    const client = influxModule.__getLastClientInstance();
+    expect(client.query).not.toHaveBeenCalled();
+  });
+
+  test('query failure sets red status and calls done with the error', async () => {
+    const { configNode, queryNode } = createQueryNode();
+    const client = configNode.getClient();
+    client.query = jest.fn(async function* () {
+      yield* [];
+      throw new Error('table not found');
+    });
+
+    const send = jest.fn();
+    const done = jest.fn();
+    await queryNode._handlers.input({}, send, done);
+
+    expect(done.mock.calls[0][0].message).toBe('table not found');
+    expect(send).not.toHaveBeenCalled();
+    expect(queryNode.status).toHaveBeenCalledWith(
+      expect.objectContaining({ fill: 'red', text: 'table not found' })
+    );
+  });
+
+  test('stream mode sends one message per row with msg.parts and a completion message', async () => {
+    mockQueryRows = [{ v: 1 }, { v: 2 }, { v: 3 }];
+    const { queryNode } = createQueryNode({ outputMode: 'stream' });
+    const msg = { topic: 't' };
+    const send = jest.fn();
+    const done = jest.fn();
+    await queryNode._handlers.input(msg, send, done);
+
+    expect(send).toHaveBeenCalledTimes(4);
+    const rowMsgs = send.mock.calls.slice(0, 3).map(c => c[0][0]);
+    expect(rowMsgs.map(m => m.payload)).toEqual(mockQueryRows);
+    expect(rowMsgs.map(m => m.parts)).toEqual([
+      { id: 'parts-id', type: 'array', index: 0 },
+      { id: 'parts-id', type: 'array', index: 1 },
+      { id: 'parts-id', type: 'array', index: 2, count: 3 }
+    ]);
+    expect(rowMsgs[0].topic).toBe('t');
+    send.mock.calls.slice(0, 3).forEach(c => expect(c[0][1]).toBeNull());
+
+    const [rowsOut, completeOut] = send.mock.calls[3][0];
+    expect(rowsOut).toBeNull();
+    expect(completeOut.payload).toEqual({ rowCount: 3, chunkCount: 3, durationMs: expect.any(Number) });
+    expect(done.mock.calls[0][0]).toBeUndefined();
+    expect(queryNode.status).toHaveBeenCalledWith(
+      expect.objectContaining({ fill: 'green', text: '3 row(s) streamed' })
+    );
+  });
+
+  test('stream mode with chunkSize groups rows and sets parts.len', async () => {
+    mockQueryRows = [{ v: 1 }, { v: 2 }, { v: 3 }, { v: 4 }, { v: 5 }];
+    const { queryNode } = createQueryNode({ outputMode: 'stream', chunkSize: '2' });
+    const send = jest.fn();
+    await queryNode._handlers.input({}, send, jest.fn());
+
+    const chunkMsgs = send.mock.calls.slice(0, -1).map(c => c[0][0]);
+    expect(chunkMsgs.map(m => m.payload)).toEqual([
+      [{ v: 1 }, { v: 2 }],
+      [{ v: 3 }, { v: 4 }],
+      [{ v: 5 }]
+    ]);
+    expect(chunkMsgs.map(m => m.parts.len)).toEqual([2, 2, 2]);
+    expect(chunkMsgs[2].parts.count).toBe(3);
+    expect(chunkMsgs[0].parts.count).toBeUndefined();
+    expect(send.mock.calls[3][0][1].payload).toMatchObject({ rowCount: 5, chunkCount: 3 });
+  });
+
+  test('stream mode with an exact multiple of chunkSize marks the last full chunk', async () => {
+    mockQueryRows = [{ v: 1 }, { v: 2 }, { v: 3 }, { v: 4 }];
+    const { queryNode } = createQueryNode({ outputMode: 'stream', chunkSize: 2 });
+    const send = jest.fn();
+    await queryNode._handlers.input({}, send, jest.fn());
+
+    expect(send).toHaveBeenCalledTimes(3);
+    expect(send.mock.calls[1][0][0].parts).toMatchObject({ index: 1, count: 2 });
+  });
+
+  test('stream mode with no rows only sends the completion message', async () => {
+    const { queryNode } = createQueryNode({ outputMode: 'stream' });
+    const send = jest.fn();
+    await queryNode._handlers.input({}, send, jest.fn());
+
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(send.mock.calls[0][0][1].payload).toMatchObject({ rowCount: 0, chunkCount: 0 });
+  });
+
+  test('stream mode nests existing msg.parts', async () => {
+    mockQueryRows = [{ v: 1 }];
+    const { queryNode } = createQueryNode({ outputMode: 'stream' });
+    const upstream = { id: 'outer', index: 4, count: 10, type: 'array' };
+    const send = jest.fn();
+    await queryNode._handlers.input({ parts: upstream }, send, jest.fn());
+
+    expect(send.mock.calls[0][0][0].parts.parts).toBe(upstream);
+  });
+
+  test('invalid chunkSize falls back to one row per message', () => {
+    const { queryNode } = createQueryNode({ outputMode: 'stream', chunkSize: 'abc' });
+    expect(queryNode.chunkSize).toBe(1);
+  });
+
+  test('missing config node sets a "no config" status', () => {
+    const { RED } = setup();
+    const QueryCtor = RED._types['influxdb3-query'];
+    const queryNode = new QueryCtor({ influxdb: null, query: 'SELECT 1' });
+
+    expect(queryNode.error).toHaveBeenCalledWith('InfluxDB v3 config not set');
+    expect(queryNode.status).toHaveBeenCalledWith(
+      expect.objectContaining({ fill: 'red', text: 'no config' })
+    );
+  });
+});
+
+describe('config node – test connection endpoint', () => {
+  function testConnection(RED, body) {
+    const handler = RED._routes['POST /influxdb3/test-connection'];
+    const res = {
+      status: jest.fn(() => res),
+      json: jest.fn()
+    };
+    return handler({ body }, res).then(() => res);
+  }
+
+  const settings = {
+    host: 'https://example.com',
+    token: 'token',
+    database: 'metrics',
+    tlsRejectUnauthorized: true,
+    caCertPath: ''
+  };
+
+  test('is registered behind the config node write permission', () => {
+    const { RED } = setup();
+    expect(RED.httpAdmin.post).toHaveBeenCalledWith(
+      '/influxdb3/test-connection', expect.any(Function), expect.any(Function)
+    );
+    expect(RED.auth.needsPermission).toHaveBeenCalledWith('influxdb3-config.write');
+  });
+
+  test('reports the server version when the database can be queried', async () => {
+    const { RED, influxModule } = setup();
+    const res = await testConnection(RED, settings);
+
+    expect(res.json).toHaveBeenCalledWith({ ok: true, version: '3.0.0' });
+    const client = influxModule.__getLastClientInstance();
+    expect(influxModule.__getLastClientOptions().host).toBe('https://example.com/');
+    expect(client.query).toHaveBeenCalledWith('SELECT 1', 'metrics');
+    expect(client.close).toHaveBeenCalled();
+  });
+
+  test('uses the stored token when the editor sends an unchanged password', async () => {
+    const { RED, influxModule } = setup();
+    RED.nodes.getCredentials.mockReturnValue({ token: 'stored-token' });
+    await testConnection(RED, { ...settings, id: 'cfg1', token: '__PWRD__' });
+
+    expect(RED.nodes.getCredentials).toHaveBeenCalledWith('cfg1');
+    expect(influxModule.__getLastClientOptions().token).toBe('stored-token');
+  });
+
+  test('substitutes environment variables in the host', async () => {
+    const { RED, influxModule } = setup();
+    process.env.INFLUX_TEST_HOST = 'influx.local:8181';
+    try {
+      await testConnection(RED, { ...settings, host: 'http://${INFLUX_TEST_HOST}' });
+    } finally {
+      delete process.env.INFLUX_TEST_HOST;
+    }
+    expect(influxModule.__getLastClientOptions().host).toBe('http://influx.local:8181/');
+  });
+
+  test('missing settings fail without creating a client', async () => {
+    const { RED, influxModule } = setup();
+    const res = await testConnection(RED, { ...settings, token: '' });
+
+    expect(res.json).toHaveBeenCalledWith({
+      ok: false, stage: 'config', reason: 'config', error: 'Token is not set'
+    });
+    expect(influxModule.__getLastClientInstance()).toBeUndefined();
+  });
+
+  test('an unreachable host is reported at the connect stage', async () => {
+    const { RED, influxModule } = setup();
+    mockServerVersion = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+    const res = await testConnection(RED, settings);
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      ok: false, stage: 'connect', reason: 'unreachable'
+    }));
+    const client = influxModule.__getLastClientInstance();
+    expect(client.query).not.toHaveBeenCalled();
+    expect(client.close).toHaveBeenCalled();
+  });
+
+  test('a rejected token is reported as an auth failure', async () => {
+    const { RED } = setup();
+    mockServerVersion = Object.assign(new Error('unauthorized'), { statusCode: 401 });
+    const res = await testConnection(RED, settings);
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      ok: false, stage: 'connect', reason: 'auth'
+    }));
+  });
+
+  test('an unknown database is reported at the database stage', async () => {
+    const { RED } = setup();
+    mockQueryError = rpcError('database not found: nope', 'NOT_FOUND');
+    const res = await testConnection(RED, { ...settings, database: 'nope' });
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      ok: false, stage: 'database', reason: 'database'
+    }));
+  });
+
+  test('a token that cannot read the database is reported as an auth failure', async () => {
+    const { RED } = setup();
+    mockQueryError = rpcError('insufficient privileges', 'PERMISSION_DENIED');
+    const res = await testConnection(RED, settings);
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      ok: false, stage: 'database', reason: 'auth'
+    }));
+  });
+});
+
+describe('config node – database listing endpoint', () => {
+  function listDatabases(RED, body) {
+    const handler = RED._routes['POST /influxdb3/databases'];
+    const res = {
+      status: jest.fn(() => res),
+      json: jest.fn()
+    };
+    return handler({ body }, res).then(() => res);
+  }
+
+  function httpError(statusCode, message) {
+    return Object.assign(new Error(message), { statusCode });
+  }
+
+  const settings = { id: 'cfg1', host: 'https://example.com', database: 'metrics', tlsRejectUnauthorized: true };
+
+  test('is registered behind the config node read permission', () => {
+    const { RED } = setup();
+    expect(RED.httpAdmin.post).toHaveBeenCalledWith(
+      '/influxdb3/databases', expect.any(Function), expect.any(Function)
+    );
+    expect(RED.auth.needsPermission).toHaveBeenCalledWith('influxdb3-config.read');
+  });
+
+  test('lists databases from the management API with the stored token', async () => {
+    const { RED } = setup();
+    const { getJson } = require('../lib/http-json');
+    getJson.mockResolvedValue([{ 'iox::database': 'metrics' }, { 'iox::database': 'alpha' }]);
+    RED.nodes.getCredentials.mockReturnValue({ token: 'stored-token' });
+    RED.nodes.getNode = jest.fn(() => ({ host: 'https://example.com', database: 'metrics' }));
+    const res = await listDatabases(RED, settings);
+
+    expect(RED.nodes.getNode).toHaveBeenCalledWith('cfg1');
+    expect(getJson).toHaveBeenCalledWith(
+      'https://example.com/api/v3/configure/database?format=json',
+      { token: 'stored-token', transportOptions: undefined }
+    );
+    expect(res.json).toHaveBeenCalledWith({ ok: true, databases: ['alpha', 'metrics'] });
+  });
+
+  test('passes the connection TLS options to the management API request', async () => {
+    const { RED } = setup();
+    const { getJson } = require('../lib/http-json');
+    getJson.mockResolvedValue([]);
+    await listDatabases(RED, { ...settings, token: 'token', tlsRejectUnauthorized: false });
+
+    expect(getJson.mock.calls[0][1].transportOptions).toEqual({ rejectUnauthorized: false });
+  });
+
+  test('falls back to InfluxQL SHOW DATABASES when the API is missing', async () => {
+    const { RED, influxModule } = setup();
+    const { getJson } = require('../lib/http-json');
+    getJson.mockRejectedValue(httpError(404, 'not found'));
+    mockQueryRows = [{ 'iox::measurement': 'databases', name: 'metrics' }, { name: 'logs' }];
+    const res = await listDatabases(RED, { ...settings, token: 'token' });
+
+    const client = influxModule.__getLastClientInstance();
+    expect(client.query).toHaveBeenCalledWith('SHOW DATABASES', 'metrics', { type: 'influxql' });
+    expect(client.close).toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith({ ok: true, databases: ['logs', 'metrics'] });
+  });
+
+  test('reports listing as unsupported when neither method works', async () => {
+    const { RED } = setup();
+    const { getJson } = require('../lib/http-json');
+    getJson.mockRejectedValue(httpError(404, 'not found'));
+    mockQueryError = new Error('SHOW DATABASES is not supported');
+    const res = await listDatabases(RED, { ...settings, token: 'token' });
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ ok: false, supported: false }));
+  });
+
+  test('auth failures are reported instead of falling back', async () => {
+    const { RED, influxModule } = setup();
+    const { getJson } = require('../lib/http-json');
+    getJson.mockRejectedValue(httpError(401, 'unauthorized'));
+    const res = await listDatabases(RED, { ...settings, token: 'token' });
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      ok: false, supported: true, reason: 'auth'
+    }));
+    expect(influxModule.__getLastClientInstance()).toBeUndefined();
+  });
+
+  test('the stored token is not sent to another host than the deployed one', async () => {
+    const { RED } = setup();
+    const { getJson } = require('../lib/http-json');
+    RED.nodes.getCredentials.mockReturnValue({ token: 'stored-token' });
+    RED.nodes.getNode = jest.fn(() => ({ host: 'https://example.com', database: 'metrics' }));
+    const res = await listDatabases(RED, { ...settings, host: 'https://attacker.example' });
+
+    expect(getJson).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.json.mock.calls[0][0].error).toMatch(/only used with the host of the deployed connection/);
+  });
+
+  test('the stored token needs a deployed connection', async () => {
+    const { RED } = setup();
+    const { getJson } = require('../lib/http-json');
+    RED.nodes.getCredentials.mockReturnValue({ token: 'stored-token' });
+    RED.nodes.getNode = jest.fn(() => null);
+    const res = await listDatabases(RED, settings);
+
+    expect(getJson).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(500);
+  });
+
+  test('environment variables in the request are not resolved', async () => {
+    const { RED } = setup();
+    const { getJson } = require('../lib/http-json');
+    getJson.mockResolvedValue([]);
+    process.env.INFLUXDB3_TEST_SECRET = 'secret';
+    try {
+      await listDatabases(RED, { ...settings, host: 'https://example.com/${INFLUXDB3_TEST_SECRET}', token: '${INFLUXDB3_TEST_SECRET}' });
+    } finally {
+      delete process.env.INFLUXDB3_TEST_SECRET;
+    }
+
+    expect(getJson).toHaveBeenCalledWith(
+      'https://example.com/${INFLUXDB3_TEST_SECRET}/api/v3/configure/database?format=json',
+      { token: '${INFLUXDB3_TEST_SECRET}', transportOptions: undefined }
+    );
+  });
+
+  test('a host configured as an environment variable is resolved from the deployed connection', async () => {
+    const { RED } = setup();
+    const { getJson } = require('../lib/http-json');
+    getJson.mockResolvedValue([]);
+    RED.nodes.getCredentials.mockReturnValue({ token: 'stored-token' });
+    RED.nodes.getNode = jest.fn(() => ({ host: '${INFLUXDB3_TEST_HOST}', database: 'metrics' }));
+    process.env.INFLUXDB3_TEST_HOST = 'https://influx.local';
+    try {
+      await listDatabases(RED, { ...settings, host: '${INFLUXDB3_TEST_HOST}' });
+    } finally {
+      delete process.env.INFLUXDB3_TEST_HOST;
+    }
+
+    expect(getJson.mock.calls[0][0]).toBe('https://influx.local/api/v3/configure/database?format=json');
+  });
+
+  test('a missing token fails without contacting the server', async () => {
+    const { RED } = setup();
+    const { getJson } = require('../lib/http-json');
+    const res = await listDatabases(RED, settings);
+
+    expect(getJson).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith({
+      ok: false, supported: true, reason: 'config', error: 'Token is not set'
+    });
+  });
+});
+
+describe('write node editor – schema endpoint', () => {
+  function readSchema(RED, body) {
+    const handler = RED._routes['POST /influxdb3/schema'];
+    const res = {
+      status: jest.fn(() => res),
+      json: jest.fn()
+    };
+    return handler({ body }, res).then(() => res);
+  }
+
+  const settings = { host: 'https://example.com', token: 'token', database: 'metrics' };
+
+  test('returns the measurements of the database with tags and field types', async () => {
+    const { RED, influxModule } = setup();
+    mockQueryRows = [
+      { table_name: 'cpu', column_name: 'host', data_type: 'Dictionary(Int32, Utf8)' },
+      { table_name: 'cpu', column_name: 'time', data_type: 'Timestamp(Nanosecond, None)' },
+      { table_name: 'cpu', column_name: 'usage', data_type: 'Float64' }
+    ];
+    const res = await readSchema(RED, settings);
+
+    const client = influxModule.__getLastClientInstance();
+    expect(client.query).toHaveBeenCalledWith(expect.stringContaining('information_schema.columns'), 'metrics');
+    expect(client.close).toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith({
+      ok: true,
+      database: 'metrics',
+      measurements: [{ name: 'cpu', tags: ['host'], fields: [{ name: 'usage', type: 'float' }] }]
+    });
+  });
+
+  test('query failures are explained', async () => {
+    const { RED } = setup();
+    mockQueryError = rpcError('database not found: nope', 'NOT_FOUND');
+    const res = await readSchema(RED, { ...settings, database: 'nope' });
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ ok: false, reason: 'database' }));
+  });
+
+  test('gRPC failures are classified by their status name', async () => {
+    const { RED } = setup();
+    mockQueryError = rpcError('invalid token', 'UNAUTHENTICATED');
+    let res = await readSchema(RED, settings);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ ok: false, reason: 'auth' }));
+
+    mockQueryError = rpcError('connection reset', 'UNAVAILABLE');
+    res = await readSchema(RED, settings);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ ok: false, reason: 'unreachable' }));
+  });
+
+  test('the stored token is only sent to the deployed host, without resolving the environment', async () => {
+    const { RED, influxModule } = setup();
+    RED.nodes.getCredentials.mockReturnValue({ token: 'stored-token' });
+    RED.nodes.getNode = jest.fn(() => ({ host: 'https://example.com', database: 'metrics' }));
+    process.env.INFLUXDB3_TEST_SECRET = 'secret';
+    let res;
+    try {
+      res = await readSchema(RED, { id: 'cfg1', host: 'https://attacker.example/${INFLUXDB3_TEST_SECRET}', database: 'metrics' });
+    } finally {
+      delete process.env.INFLUXDB3_TEST_SECRET;
+    }
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(influxModule.__getLastClientInstance()).toBeUndefined();
+
+    await readSchema(RED, { id: 'cfg1', host: 'https://example.com', database: 'metrics' });
+    expect(influxModule.__getLastClientOptions()).toMatchObject({ host: 'https://example.com/', token: 'stored-token' });
+  });
+
+  test('a missing database fails without creating a client', async () => {
+    const { RED, influxModule } = setup();
+    const res = await readSchema(RED, { ...settings, database: '' });
+
+    expect(res.json).toHaveBeenCalledWith({ ok: false, reason: 'config', error: 'Database is not set' });
+    expect(influxModule.__getLastClientInstance()).toBeUndefined();
+  });
+});
+
+describe('write node schema table', () => {
+  const { exactIntegerPlaceholder } = require('../lib/line-protocol');
+  const schema = [
+    { measurement: 'sensor', key: 'room', type: 'tag' },
+    { measurement: 'sensor', key: 'count', type: 'integer' },
+    { measurement: 'sensor', key: 'bytes', type: 'uinteger' },
+    { measurement: 'sensor', key: 'temp', type: 'float' },
+    { measurement: 'sensor', key: 'ok', type: 'boolean' },
+    { measurement: 'sensor', key: 'label', type: 'string' }
+  ];
+
+  test('declared types are applied without an integers list', async () => {
+    const { influxModule, writeNode } = createWriteNode({ schema });
+    const msg = {
+      measurement: 'sensor',
+      payload: { room: 'lab', count: 42, bytes: '18446744073709551615', temp: '21', ok: 'true', label: 7, extra: 3 }
+    };
+    const done = jest.fn();
+    await writeNode._handlers.input(msg, jest.fn(), done);
+
+    expect(done).toHaveBeenCalledWith();
+    const point = influxModule.__getLastPoint();
+    expect(point.tags).toEqual({ room: 'lab' });
+    expect(point.integerFields).toEqual({ count: 42 });
+    expect(point.stringFields.bytes).toBe(exactIntegerPlaceholder(18446744073709551615n, true));
+    expect(point.floatFields).toEqual({ temp: 21, extra: 3 });
+    expect(point.booleanFields).toEqual({ ok: true });
+    expect(point.stringFields.label).toBe('7');
+  });
+
+  test('declared types override the integers list', async () => {
+    const { influxModule, writeNode } = createWriteNode({ schema });
+    const msg = { measurement: 'sensor', payload: { fields: { temp: 20 }, integers: ['temp'] } };
+    await writeNode._handlers.input(msg, jest.fn(), jest.fn());
+
+    expect(influxModule.__getLastPoint().floatFields).toEqual({ temp: 20 });
+  });
+
+  test('a value that cannot be coerced rejects the message', async () => {
+    const { influxModule, writeNode } = createWriteNode({ schema });
+    const msg = { measurement: 'sensor', payload: { count: 4.5 } };
+    const done = jest.fn();
+    await writeNode._handlers.input(msg, jest.fn(), done);
+
+    expect(done).toHaveBeenCalledWith(expect.objectContaining({
+      message: "Field 'count' (measurement: 'sensor') does not match the schema type integer: " +
+        '4.5 is not a whole number, so it cannot be written as integer'
+    }));
+    expect(influxModule.__getLastClientInstance()).toBeFalsy();
+  });
+
+  test('out-of-range integers reject the message', async () => {
+    const { writeNode } = createWriteNode({ schema });
+    const done = jest.fn();
+    await writeNode._handlers.input({ measurement: 'sensor', payload: { bytes: -1 } }, jest.fn(), done);
+
+    expect(done.mock.calls[0][0].message).toContain('unsigned value -1 is outside the range');
+  });
+
+  test('measurements without a schema entry keep the default rules', async () => {
+    const { influxModule, writeNode } = createWriteNode({ schema });
+    await writeNode._handlers.input({ measurement: 'other', payload: { count: 4.5, room: 'x' } }, jest.fn(), jest.fn());
+
+    const point = influxModule.__getLastPoint();
+    expect(point.floatFields.count).toBe(4.5);
+    expect(point.stringFields.room).toBe('x');
+  });
+
+  test('an invalid schema is reported and ignored', () => {
+    const { writeNode } = createWriteNode({ schema: [{ measurement: 'sensor', key: 'x', type: 'double' }] });
+
+    expect(writeNode.error).toHaveBeenCalledWith(expect.stringContaining("Invalid schema: Schema entry 1 ('sensor.x')"));
+    expect(writeNode.schema.size).toBe(0);
+  });
+});
+
+describe('write node server types', () => {
+  const columns = [
+    { table_name: 'sensor', column_name: 'room', data_type: 'Dictionary(Int32, Utf8)' },
+    { table_name: 'sensor', column_name: 'temp', data_type: 'Float64' },
+    { table_name: 'sensor', column_name: 'count', data_type: 'Int64' },
+    { table_name: 'sensor', column_name: 'time', data_type: 'Timestamp(Nanosecond, None)' }
+  ];
+
+  function write(writeNode, payload, measurement) {
+    const done = jest.fn();
+    return writeNode._handlers.input({ measurement: measurement || 'sensor', payload }, jest.fn(), done)
+      .then(() => done);
+  }
+
+  test('values are written with the type of the existing column', async () => {
+    mockQueryRows = columns;
+    const { influxModule, writeNode } = createWriteNode({ learnSchemaEnabled: true });
+    const done = await write(writeNode, { temp: 21, count: '7', room: 'lab', extra: 1 });
+
+    expect(done).toHaveBeenCalledWith();
+    const client = influxModule.__getLastClientInstance();
+    expect(client.query).toHaveBeenCalledWith(expect.stringContaining('information_schema.columns'), 'metrics');
+    const point = influxModule.__getLastPoint();
+    expect(point.floatFields).toEqual({ temp: 21, extra: 1 });
+    expect(point.integerFields).toEqual({ count: 7 });
+    expect(point.tags).toEqual({ room: 'lab' });
+  });
+
+  test('a value that cannot match is skipped with a warning before writing', async () => {
+    mockQueryRows = columns;
+    const { influxModule, writeNode } = createWriteNode({ learnSchemaEnabled: true });
+    const done = await write(writeNode, { temp: 'warm', count: 3 });
+
+    expect(done).toHaveBeenCalledWith();
+    expect(writeNode.warn).toHaveBeenCalledWith(
+      "Field 'temp' (measurement: 'sensor') does not match the schema type float: 'warm' cannot be written as float " +
+      '(type of the existing column). The field was skipped to avoid a schema conflict.'
+    );
+    const point = influxModule.__getLastPoint();
+    expect(point.stringFields).toEqual({});
+    expect(point.integerFields).toEqual({ count: 3 });
+  });
+
+  test('the node schema table takes precedence over server types', async () => {
+    mockQueryRows = columns;
+    const { influxModule, writeNode } = createWriteNode({
+      learnSchemaEnabled: true,
+      schema: [{ measurement: 'sensor', key: 'count', type: 'float' }]
+    });
+    await write(writeNode, { count: 3 });
+
+    expect(influxModule.__getLastPoint().floatFields).toEqual({ count: 3 });
+  });
+
+  test('column types are cached until the refresh interval passes', async () => {
+    mockQueryRows = columns;
+    const { influxModule, writeNode } = createWriteNode({ learnSchemaEnabled: true, learnSchemaInterval: 60000 });
+    await write(writeNode, { temp: 1 });
+    await write(writeNode, { temp: 2 });
+    const client = influxModule.__getLastClientInstance();
+    expect(client.query).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(60001);
+    await write(writeNode, { temp: 3 });
+    expect(client.query).toHaveBeenCalledTimes(2);
+  });
+
+  test('a type conflict from the server refreshes the cached types', async () => {
+    mockQueryRows = columns;
+    const { influxModule, writeNode } = createWriteNode({ learnSchemaEnabled: true });
+    await write(writeNode, { temp: 1 });
+    const client = influxModule.__getLastClientInstance();
+    const conflict = new Error('schema conflict: column temp is type float but write has type integer');
+    conflict.statusCode = 400;
+    client.write.mockRejectedValueOnce(conflict);
+
+    const failed = await write(writeNode, { temp: 2 });
+    expect(failed).toHaveBeenCalledWith(conflict);
+
+    await write(writeNode, { temp: 3 });
+    expect(client.query).toHaveBeenCalledTimes(2);
+  });
+
+  test('a type conflict in a partial write refreshes the cached types', async () => {
+    mockQueryRows = columns;
+    const { influxModule, writeNode } = createWriteNode({ learnSchemaEnabled: true, allowPartialWrites: true });
+    await write(writeNode, { temp: 1 });
+    const client = influxModule.__getLastClientInstance();
+    client.write.mockRejectedValueOnce(new influxModule.PartialWriteError(
+      'partial write of line protocol occurred',
+      [{ lineNumber: 1, errorMessage: 'invalid column type for column \'temp\', expected Float64, got Int64', originalLine: 'lp:sensor' }]
+    ));
+
+    await write(writeNode, { temp: 2 });
+    await write(writeNode, { temp: 3 });
+    expect(client.query).toHaveBeenCalledTimes(2);
+  });
+
+  test('unreadable column types are reported and the default rules apply', async () => {
+    mockQueryError = new Error('table not found');
+    const { influxModule, writeNode } = createWriteNode({ learnSchemaEnabled: true });
+    const done = await write(writeNode, { count: 3 });
+
+    expect(done).toHaveBeenCalledWith();
+    expect(writeNode.warn).toHaveBeenCalledWith(
+      "Could not read the column types of database 'metrics': table not found. Values are written without checking them."
+    );
+    expect(influxModule.__getLastPoint().floatFields).toEqual({ count: 3 });
+  });
+
+  test('line protocol strings do not read the column types', async () => {
+    const { influxModule, writeNode } = createWriteNode({ learnSchemaEnabled: true });
+    await write(writeNode, 'sensor temp=1');
+
+    expect(influxModule.__getLastClientInstance().query).not.toHaveBeenCalled();
+  });
+});
+
+describe('write node strict validation', () => {
+  test('malformed line protocol is rejected before writing', async () => {
+    const { influxModule, writeNode } = createWriteNode({ strictValidation: true });
+    const done = jest.fn();
+    await writeNode._handlers.input({ payload: 'sensor state=warm' }, jest.fn(), done);
+
+    expect(done).toHaveBeenCalledWith(expect.objectContaining({
+      message: expect.stringContaining("Invalid line protocol at line 1, column 14: Invalid value 'warm' for field 'state'")
+    }));
+    expect(influxModule.__getLastClientInstance()).toBeFalsy();
+  });
+
+  test('string items of an array are checked too', async () => {
+    const { writeNode } = createWriteNode({ strictValidation: true });
+    const done = jest.fn();
+    await writeNode._handlers.input({ payload: ['sensor v=1', 'sensor v="open'] }, jest.fn(), done);
+
+    expect(done.mock.calls[0][0].message).toMatch(/^Array item 1: Invalid line protocol at line 1, column 10: Unterminated string/);
+  });
+
+  test('valid line protocol is written unchanged', async () => {
+    const { influxModule, writeNode } = createWriteNode({ strictValidation: true });
+    const done = jest.fn();
+    await writeNode._handlers.input({ payload: 'sensor,room=a v=1i,s="x y" 1700000000000' }, jest.fn(), done);
+
+    expect(done).toHaveBeenCalledWith();
+    expect(influxModule.__getLastClientInstance().write)
+      .toHaveBeenCalledWith('sensor,room=a v=1i,s="x y" 1700000000000', 'metrics');
+  });
+
+  test('without strict validation only the shape is checked', async () => {
+    const { influxModule, writeNode } = createWriteNode();
+    const done = jest.fn();
+    await writeNode._handlers.input({ payload: 'sensor state=warm' }, jest.fn(), done);
+
+    expect(done).toHaveBeenCalledWith();
+    expect(influxModule.__getLastClientInstance().write).toHaveBeenCalled();
+  });
+});
+
+describe('line protocol parse node', () => {
+  function createParseNode(config) {
+    const { RED } = setup();
+    const ParseCtor = RED._types['influxdb3-parse'];
+    return new ParseCtor({ name: '', ...config });
+  }
+
+  function parse(node, msg) {
+    const send = jest.fn();
+    const done = jest.fn();
+    node._handlers.input(msg, send, done);
+    return { send, done };
+  }
+
+  test('converts line protocol into write node payloads', () => {
+    const node = createParseNode();
+    const { send, done } = parse(node, {
+      payload: 'cpu,host=a usage=12.5,procs=42i 1700000000000000000\n# comment\nmem used=1u'
+    });
+
+    expect(done).toHaveBeenCalledWith();
+    expect(send).toHaveBeenCalledWith({
+      payload: [
+        {
+          measurement: 'cpu',
+          tags: { host: 'a' },
+          fields: { usage: 12.5, procs: 42 },
+          integers: ['procs'],
+          timestamp: '1700000000000000000'
+        },
+        { measurement: 'mem', tags: {}, fields: { used: 1 }, uintegers: ['used'] }
+      ],
+      precision: 'ns'
+    });
+  });
+
+  test('accepts a Buffer and leaves msg.precision alone without timestamps', () => {
+    const node = createParseNode({ precision: 'ms' });
+    const { send } = parse(node, { payload: Buffer.from('cpu usage=1') });
+
+    const out = send.mock.calls[0][0];
+    expect(out.payload).toHaveLength(1);
+    expect(out.precision).toBeUndefined();
+  });
+
+  test('sets the configured timestamp precision', () => {
+    const node = createParseNode({ precision: 's' });
+    const { send } = parse(node, { payload: 'cpu usage=1 1700000000' });
+
+    expect(send.mock.calls[0][0].precision).toBe('s');
+  });
+
+  test('split output sends one message per point with parts', () => {
+    const node = createParseNode({ output: 'split' });
+    const { send } = parse(node, { payload: 'cpu usage=1\nmem used=2', topic: 't' });
+
+    expect(send).toHaveBeenCalledTimes(2);
+    const [first, second] = send.mock.calls.map((c) => c[0]);
+    expect(first.measurement).toBe('cpu');
+    expect(first.topic).toBe('t');
+    expect(first.payload.fields).toEqual({ usage: 1 });
+    expect(first.parts).toEqual({ id: 'parts-id', type: 'array', index: 0, count: 2 });
+    expect(second.measurement).toBe('mem');
+    expect(second.parts.index).toBe(1);
+  });
+
+  test('invalid lines fail the message with their positions', () => {
+    const node = createParseNode();
+    const msg = { payload: 'cpu usage=1\ncpu usage=high\ncpu' };
+    const { send, done } = parse(node, msg);
+
+    expect(send).not.toHaveBeenCalled();
+    expect(done.mock.calls[0][0].message).toBe(
+      "Invalid line protocol at line 2, column 11: Invalid value 'high' for field 'usage'. Expected a number, " +
+      'an integer (42i), an unsigned integer (42u), a boolean or a "double-quoted" string (and 1 more invalid line(s))'
+    );
+    expect(msg.parseErrors.map((e) => e.line)).toEqual([2, 3]);
+  });
+
+  test('rejects empty input and non-string payloads', () => {
+    const node = createParseNode();
+    expect(parse(node, { payload: '# only a comment\n' }).done.mock.calls[0][0].message)
+      .toContain('No points in the line protocol');
+    expect(parse(node, { payload: { a: 1 } }).done.mock.calls[0][0].message)
+      .toBe('Expected line protocol as a string or Buffer in msg.payload. Received: object');
+  });
+
+  test('parsed payloads are written back with the same types', async () => {
+    const node = createParseNode({ output: 'split' });
+    const { send } = parse(node, { payload: 'sensor,room=a t=1,n=9007199254740993i,code="42i" 1700000000000000001' });
+    const { influxModule, writeNode } = createWriteNode();
+    const done = jest.fn();
+    await writeNode._handlers.input(send.mock.calls[0][0], jest.fn(), done);
+
+    expect(done).toHaveBeenCalledWith();
+    const point = influxModule.__getLastPoint();
+    expect(point.measurement).toBe('sensor');
+    expect(point.tags).toEqual({ room: 'a' });
+    expect(point.floatFields).toEqual({ t: 1 });
+    expect(point.stringFields.code).toBe('42i');
+    expect(point.stringFields.n).toContain('9007199254740993i');
+    expect(point.timestamp).toBe('1700000000000000001');
+  });
+
+  test('timestamps before 1970 are written back unchanged', async () => {
+    mockUseRealPoint = true;
+    const node = createParseNode({ output: 'split' });
+    const { send } = parse(node, { payload: 'cpu v=1 -5' });
+    const { influxModule, writeNode } = createWriteNode();
+    await writeNode._handlers.input(send.mock.calls[0][0], jest.fn(), jest.fn());
+
+    expect(influxModule.__getLastClientInstance().write).toHaveBeenCalledWith(
+      'cpu v=1 -5', 'metrics', undefined, { precision: 'ns' }
+    );
+  });
+});
+
+describe('write node mapping table', () => {
+  const mappings = [
+    { key: 'sensor_id', type: 'tag', source: "$split(topic, '/')[1]", sourceType: 'jsonata' },
+    { key: 'location', type: 'tag', source: 'payload.location', sourceType: 'msg' },
+    { key: 'temperature', type: 'float', source: 'payload.temperature', sourceType: 'msg' },
+    { key: 'battery', type: 'integer', source: 'payload.battery', sourceType: 'msg' },
+    { key: 'source', type: 'string', source: 'mqtt', sourceType: 'str' },
+    { key: '', type: 'timestamp', source: 'payload.ts', sourceType: 'msg' }
+  ];
+
+  test('builds tags, typed fields and the timestamp from message properties', async () => {
+    const { influxModule, writeNode } = createWriteNode({ mappings });
+    const msg = {
+      topic: 'sensors/s-17/data',
+      payload: { temperature: '21', battery: 87, location: 'hall', ts: 1700000000000, other: 1 }
+    };
+    const send = jest.fn();
+    const done = jest.fn();
+    await writeNode._handlers.input(msg, send, done);
+
+    expect(done).toHaveBeenCalledWith();
+    const point = influxModule.__getLastPoint();
+    expect(point.tags).toEqual({ sensor_id: 's-17', location: 'hall' });
+    expect(point.floatFields).toEqual({ temperature: 21 });
+    expect(point.integerFields).toEqual({ battery: 87 });
+    expect(point.stringFields).toEqual({ source: 'mqtt' });
+    expect(point.timestamp).toEqual(new Date(1700000000000));
+    // The original message is forwarded unchanged
+    expect(send.mock.calls[0][0].payload.other).toBe(1);
+  });
+
+  test('missing sources are left out', async () => {
+    const { influxModule, writeNode } = createWriteNode({ mappings });
+    await writeNode._handlers.input({ topic: 'sensors/s-1/data', payload: { temperature: 20 } }, jest.fn(), jest.fn());
+
+    const point = influxModule.__getLastPoint();
+    expect(point.tags).toEqual({ sensor_id: 's-1' });
+    expect(point.floatFields).toEqual({ temperature: 20 });
+    expect(point.integerFields).toEqual({});
+  });
+
+  test('a value that does not fit its type fails the message', async () => {
+    const { writeNode } = createWriteNode({ mappings });
+    const done = jest.fn();
+    await writeNode._handlers.input({ topic: 'sensors/s-1/data', payload: { temperature: 'hot' } }, jest.fn(), done);
+
+    expect(done.mock.calls[0][0].message)
+      .toBe("Mapped field 'temperature' cannot be written as float: 'hot' cannot be written as float");
+  });
+
+  test('evaluation errors name the mapping', async () => {
+    const { writeNode } = createWriteNode({
+      mappings: [{ key: 'room', type: 'tag', source: '$bad(', sourceType: 'jsonata' }]
+    });
+    const done = jest.fn();
+    await writeNode._handlers.input({ payload: 1 }, jest.fn(), done);
+
+    expect(done.mock.calls[0][0].message).toBe("Mapping for 'room' failed: Unknown expression $bad(");
+  });
+
+  test('a scalar payload can be mapped into a field', async () => {
+    const { influxModule, writeNode } = createWriteNode({
+      mappings: [{ key: 'value', type: 'float', source: 'payload', sourceType: 'msg' }]
+    });
+    await writeNode._handlers.input({ payload: '21.5' }, jest.fn(), jest.fn());
+
+    expect(influxModule.__getLastPoint().floatFields).toEqual({ value: 21.5 });
+  });
+
+  test('an invalid mapping table is reported and ignored', () => {
+    const { writeNode } = createWriteNode({ mappings: [{ key: '', type: 'float', source: 'payload' }] });
+
+    expect(writeNode.error).toHaveBeenCalledWith(
+      'Invalid mapping: Mapping 1 needs a tag or field name. The mapping table is ignored.'
+    );
+    expect(writeNode.mappings).toEqual([]);
+  });
+});
+
+describe('default tags', () => {
+  const connectionTags = [
+    { key: 'site', value: '${TEST_SITE}' },
+    { key: 'firmware', value: '2.4.1' }
+  ];
+
+  beforeEach(() => {
+    process.env.TEST_SITE = 'plant-3';
+  });
+
+  afterEach(() => {
+    delete process.env.TEST_SITE;
+  });
+
+  test('connection and node tags are added to object payloads', async () => {
+    const { influxModule, writeNode } = createWriteNode(
+      { defaultTags: [{ key: 'firmware', value: '2.5.0' }, { key: 'gateway_id', value: 'gw-17' }] },
+      { defaultTags: connectionTags }
+    );
+    await writeNode._handlers.input({ payload: { temperature: 21 } }, jest.fn(), jest.fn());
+
+    expect(influxModule.__getLastPoint().tags).toEqual({ site: 'plant-3', firmware: '2.5.0', gateway_id: 'gw-17' });
+  });
+
+  test('tags and fields of the message take precedence', async () => {
+    const { influxModule, writeNode } = createWriteNode({}, { defaultTags: connectionTags });
+    await writeNode._handlers.input(
+      { payload: { fields: { firmware: 'beta', temperature: 21 }, tags: { site: 'lab' } } },
+      jest.fn(),
+      jest.fn()
+    );
+
+    const point = influxModule.__getLastPoint();
+    expect(point.tags).toEqual({ site: 'lab' });
+    expect(point.stringFields.firmware).toBe('beta');
+  });
+
+  test('tags are appended to raw line protocol', async () => {
+    const { influxModule, writeNode } = createWriteNode({}, { defaultTags: connectionTags });
+    await writeNode._handlers.input(
+      { payload: ['cpu,site=lab usage=1', 'mem free=2i'] },
+      jest.fn(),
+      jest.fn()
+    );
+
+    expect(influxModule.__getLastClientInstance().write.mock.calls[0][0])
+      .toBe('cpu,site=lab,firmware=2.4.1 usage=1\nmem,site=plant-3,firmware=2.4.1 free=2i');
+  });
+
+  test('a tag with an unset environment variable is left out with a warning', () => {
+    delete process.env.TEST_SITE;
+    const { configNode } = createWriteNode({}, { defaultTags: connectionTags });
+
+    expect(configNode.defaultTags).toEqual({ firmware: '2.4.1' });
+    expect(configNode.warn).toHaveBeenCalledWith(
+      "Default tags not written: 'site' (environment variable TEST_SITE is not set)"
+    );
+  });
+
+  test('an invalid table is reported and ignored', () => {
+    const { writeNode } = createWriteNode({ defaultTags: [{ key: ' ', value: 'x' }] });
+
+    expect(writeNode.error).toHaveBeenCalledWith(
+      'Invalid default tags: Default tag 1 needs a name. The default tags are ignored.'
+    );
+    expect(writeNode.defaultTags).toEqual({});
+  });
+});
+
+describe('write node flattening', () => {
+  const payload = {
+    meta: { site: 'north', device: 'meter-4' },
+    power: { l1: 230.1, l2: 229.8, counters: { rx: 5 } },
+    phase: [0.98, 0.97]
+  };
+
+  test('nested objects are skipped unless flattening is enabled', async () => {
+    const { influxModule, writeNode } = createWriteNode();
+    await writeNode._handlers.input({ payload: { ...payload, ok: true } }, jest.fn(), jest.fn());
+
+    expect(influxModule.__getLastPoint().floatFields).toEqual({});
+    expect(writeNode.warn).toHaveBeenCalledWith(expect.stringContaining("Skipping field 'power'"));
+  });
+
+  test('expands objects and arrays, routing listed keys to tags', async () => {
+    const { influxModule, writeNode } = createWriteNode({
+      flattenEnabled: true,
+      flattenArrays: true,
+      flattenTags: 'meta_site, meta_device'
+    });
+    await writeNode._handlers.input({ payload: { ...payload, integers: ['power_counters_rx'] } }, jest.fn(), jest.fn());
+
+    const point = influxModule.__getLastPoint();
+    expect(point.tags).toEqual({ meta_site: 'north', meta_device: 'meter-4' });
+    expect(point.floatFields).toEqual({ power_l1: 230.1, power_l2: 229.8, phase_0: 0.98, phase_1: 0.97 });
+    expect(point.integerFields).toEqual({ power_counters_rx: 5 });
+  });
+
+  test('separator and max depth are configurable', async () => {
+    const { influxModule, writeNode } = createWriteNode({
+      flattenEnabled: true,
+      flattenSeparator: '.',
+      flattenMaxDepth: '1'
+    });
+    await writeNode._handlers.input({ payload: { fields: payload } }, jest.fn(), jest.fn());
+
+    const point = influxModule.__getLastPoint();
+    expect(point.stringFields).toEqual({ 'meta.site': 'north', 'meta.device': 'meter-4' });
+    expect(point.floatFields).toEqual({ 'power.l1': 230.1, 'power.l2': 229.8 });
+    expect(writeNode.warn).toHaveBeenCalledWith(expect.stringContaining("Skipping field 'power.counters'"));
+    expect(writeNode.warn).toHaveBeenCalledWith(expect.stringContaining("Skipping field 'phase'"));
+  });
+});
+
+describe('write node error output', () => {
+  function rejectedWrite() {
+    const error = new Error('HTTP 400: parsing failed');
+    error.statusCode = 400;
+    error.json = {
+      error: 'parsing failed for write_lp endpoint',
+      data: [{ original_line: 'cpu value=oops', line_number: 3, error_message: 'invalid field value' }]
+    };
+    return error;
+  }
+
+  test('a rejected write goes to the second output with msg.error', async () => {
+    const { configNode, writeNode } = createWriteNode({ id: 'w1', type: 'influxdb3-write', errorOutput: true, name: 'line 4' });
+    configNode.getClient().write = jest.fn().mockRejectedValue(rejectedWrite());
+
+    const msg = { payload: 'cpu value=1\ncpu value=2\ncpu value=oops' };
+    const send = jest.fn();
+    const done = jest.fn();
+    await writeNode._handlers.input(msg, send, done);
+
+    expect(done).toHaveBeenCalledWith();
+    expect(send).toHaveBeenCalledWith([null, msg]);
+    expect(msg.error).toEqual({
+      message: 'HTTP 400: parsing failed',
+      statusCode: 400,
+      serverMessage: 'parsing failed for write_lp endpoint',
+      retryable: false,
+      lines: [{ lineNumber: 3, errorMessage: 'invalid field value', originalLine: 'cpu value=oops' }],
+      source: { id: 'w1', type: 'influxdb3-write', name: 'line 4' }
+    });
+    expect(writeNode.status).toHaveBeenCalledWith(expect.objectContaining({ fill: 'red' }));
+  });
+
+  test('messages that cannot be converted go there too', async () => {
+    const { writeNode } = createWriteNode({ errorOutput: true });
+    const msg = { payload: 42 };
+    const send = jest.fn();
+    await writeNode._handlers.input(msg, send, jest.fn());
+
+    expect(send).toHaveBeenCalledWith([null, msg]);
+    expect(msg.error.message).toMatch(/^Invalid payload format/);
+    expect(msg.error.retryable).toBe(false);
+    expect(msg.error.statusCode).toBeUndefined();
+  });
+
+  test('each message of a failed batch gets its own rejected lines', async () => {
+    const { configNode, writeNode } = createWriteNode({ errorOutput: true, batchEnabled: true });
+    configNode.getClient().write = jest.fn().mockRejectedValue(rejectedWrite());
+
+    const msgs = [{ payload: 'cpu value=1\ncpu value=2' }, { payload: 'cpu value=oops' }];
+    const sends = [jest.fn(), jest.fn()];
+    const dones = [jest.fn(), jest.fn()];
+    await writeNode._handlers.input(msgs[0], sends[0], dones[0]);
+    await writeNode._handlers.input(msgs[1], sends[1], dones[1]);
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(sends[0]).toHaveBeenCalledWith([null, msgs[0]]);
+    expect(sends[1]).toHaveBeenCalledWith([null, msgs[1]]);
+    expect(msgs[0].error.lines).toEqual([]);
+    expect(msgs[1].error.lines).toEqual([
+      { lineNumber: 1, errorMessage: 'invalid field value', originalLine: 'cpu value=oops' }
+    ]);
+    expect(dones[0]).toHaveBeenCalledWith();
+    expect(dones[1]).toHaveBeenCalledWith();
+  });
+
+  test('without the error output failures go to done', async () => {
+    const { configNode, writeNode } = createWriteNode();
+    const error = rejectedWrite();
+    configNode.getClient().write = jest.fn().mockRejectedValue(error);
+
+    const msg = { payload: 'cpu value=1' };
+    const send = jest.fn();
+    const done = jest.fn();
+    await writeNode._handlers.input(msg, send, done);
+
+    expect(done).toHaveBeenCalledWith(error);
+    expect(send).not.toHaveBeenCalled();
+    expect(msg.error).toBeUndefined();
+  });
+});
+
+describe('write node skipping invalid array items', () => {
+  const payload = [
+    { measurement: 'cpu', fields: { value: 1 } },
+    { measurement: 'cpu', fields: { value: null } },
+    'cpu value=3',
+    42,
+    'mem free=4i'
+  ];
+
+  test('one invalid item fails the whole message by default', async () => {
+    const { writeNode } = createWriteNode();
+    const done = jest.fn();
+    await writeNode._handlers.input({ payload }, jest.fn(), done);
+
+    expect(done.mock.calls[0][0].message).toMatch(/^Array item 1: No valid fields to write/);
+  });
+
+  test('writes the valid items and reports the skipped ones', async () => {
+    const { configNode, writeNode } = createWriteNode({ skipInvalidItems: true });
+    const client = configNode.getClient();
+    const msg = { payload };
+    const send = jest.fn();
+    const done = jest.fn();
+    await writeNode._handlers.input(msg, send, done);
+
+    expect(done).toHaveBeenCalledWith();
+    // The mock Point serializes as 'lp:<measurement>'
+    expect(client.write.mock.calls[0][0]).toBe('lp:cpu\ncpu value=3\nmem free=4i');
+    expect(msg.droppedItems).toEqual([
+      { index: 1, reason: 'invalid', error: expect.stringMatching(/^Array item 1: No valid fields to write/) },
+      { index: 3, reason: 'invalid', error: expect.stringMatching(/^Array item 3 has invalid format/) }
+    ]);
+    expect(writeNode.warn).toHaveBeenCalledWith(expect.stringMatching(/^Skipped 2 of 5 array item\(s\): /));
+  });
+
+  test('lines rejected in a partial write are reported by item', async () => {
+    const { influxModule, configNode, writeNode } = createWriteNode({
+      skipInvalidItems: true,
+      allowPartialWrites: true,
+      batchEnabled: true
+    });
+    configNode.getClient().write = jest.fn().mockRejectedValue(new influxModule.PartialWriteError(
+      'partial write of line protocol occurred',
+      [{ lineNumber: 4, errorMessage: 'invalid column type', originalLine: 'mem free=4i' }]
+    ));
+
+    const first = { payload: 'disk used=1' };
+    const msg = { payload };
+    await writeNode._handlers.input(first, jest.fn(), jest.fn());
+    await writeNode._handlers.input(msg, jest.fn(), jest.fn());
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(first.droppedItems).toBeUndefined();
+    expect(msg.partialWriteErrors).toEqual([
+      { lineNumber: 3, errorMessage: 'invalid column type', originalLine: 'mem free=4i' }
+    ]);
+    expect(msg.droppedItems.map((item) => [item.index, item.reason])).toEqual([
+      [1, 'invalid'],
+      [3, 'invalid'],
+      [4, 'rejected']
+    ]);
+  });
+
+  test('fails when no item is valid', async () => {
+    const { writeNode } = createWriteNode({ skipInvalidItems: true });
+    const done = jest.fn();
+    await writeNode._handlers.input({ payload: [42, ''] }, jest.fn(), done);
+
+    expect(done.mock.calls[0][0].message).toBe(
+      'All 2 array item(s) are invalid. First: Array item 0 has invalid format. ' +
+      'Expected string (line protocol) or object with fields. Received: number'
+    );
+  });
+});
+
+describe('write node metrics', () => {
+  function getMetrics(RED, id) {
+    const res = { status: jest.fn(() => res), json: jest.fn() };
+    const route = id === undefined ? 'GET /influxdb3/metrics' : 'GET /influxdb3/metrics/:id';
+    RED._routes[route]({ params: { id } }, res);
+    return res;
+  }
+
+  test('counts written and failed messages and serves them on the admin API', async () => {
+    const { RED, writeNode } = createWriteNode({ id: 'w1', name: 'plant writer' });
+    await writeNode._handlers.input({ payload: 'cpu value=1\ncpu value=2' }, jest.fn(), jest.fn());
+    await writeNode._handlers.input({ payload: 42 }, jest.fn(), jest.fn());
+
+    const all = getMetrics(RED).json.mock.calls[0][0];
+    expect(all.nodes).toHaveLength(1);
+    expect(all.nodes[0]).toMatchObject({ id: 'w1', name: 'plant writer' });
+    expect(getMetrics(RED, 'w1').json.mock.calls[0][0].metrics).toEqual(all.nodes[0].metrics);
+    expect(all.nodes[0].metrics).toMatchObject({
+      messages: 1,
+      points: 2,
+      writes: 1,
+      bytes: { raw: 23, sent: 23 },
+      errors: { total: 1, byType: { invalid: 1 } }
+    });
+  });
+
+  test('unknown node ids are a 404', () => {
+    const { RED } = createWriteNode();
+    const res = getMetrics(RED, 'nope');
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json).toHaveBeenCalledWith({ error: "No deployed write node with id 'nope'" });
+  });
+
+  test('with metrics enabled, messages carry the counters and the status shows a summary', async () => {
+    const { writeNode } = createWriteNode({ metricsEnabled: true });
+    const msg = { payload: 'cpu value=1' };
+    await writeNode._handlers.input(msg, jest.fn(), jest.fn());
+
+    expect(msg.influxdb).toMatchObject({
+      database: 'metrics',
+      points: 1,
+      latencyMs: 0,
+      metrics: { messages: 1, points: 1 }
+    });
+    await jest.advanceTimersByTimeAsync(3000);
+    expect(writeNode.status).toHaveBeenLastCalledWith({ fill: 'grey', shape: 'ring', text: '1 pts · p95 0 ms' });
+  });
+
+  test('write failures and partial writes are counted', async () => {
+    const { RED, influxModule, configNode, writeNode } = createWriteNode({ allowPartialWrites: true });
+    const client = configNode.getClient();
+    client.write = jest.fn()
+      .mockRejectedValueOnce(Object.assign(new Error('HTTP 401'), { statusCode: 401 }))
+      .mockRejectedValueOnce(new influxModule.PartialWriteError(
+        'partial write of line protocol occurred',
+        [{ lineNumber: 2, errorMessage: 'invalid', originalLine: 'cpu value=x' }]
+      ));
+    await writeNode._handlers.input({ payload: 'cpu value=1' }, jest.fn(), jest.fn());
+    await writeNode._handlers.input({ payload: 'cpu value=1\ncpu value=2\ncpu value=3' }, jest.fn(), jest.fn());
+
+    expect(getMetrics(RED).json.mock.calls[0][0].nodes[0].metrics).toMatchObject({
+      messages: 1,
+      points: 2,
+      rejectedLines: 1,
+      errors: { total: 1, byType: { 'http 401': 1 } }
+    });
+  });
+
+  test('a node without a connection is not listed', () => {
+    const { RED } = setup();
+    const WriteCtor = RED._types['influxdb3-write'];
+    new WriteCtor({ id: 'w1', measurement: '', database: '' });
+
+    expect(getMetrics(RED).json).toHaveBeenCalledWith({ nodes: [] });
+  });
+
+  test('closing the node removes it from the admin API', async () => {
+    const { RED, writeNode } = createWriteNode();
+    await new Promise((resolve) => writeNode._handlers.close(false, resolve));
+
+    expect(getMetrics(RED).json).toHaveBeenCalledWith({ nodes: [] });
+  });
+});
+
+describe('write node – deadband filter', () => {
+  const deadbandConfig = { deadbandEnabled: true, deadbandMode: 'absolute', deadbandValue: '0.5', deadbandMaxSilence: '60000' };
+
+  test('unchanged values are passed on without being written', async () => {
+    const { configNode, writeNode } = createWriteNode(deadbandConfig);
+    const client = configNode.getClient();
+    await writeNode._handlers.input({ payload: 'tank level=10' }, jest.fn(), jest.fn());
+
+    const msg = { payload: 'tank level=10.4' };
+    const send = jest.fn();
+    const done = jest.fn();
+    await writeNode._handlers.input(msg, send, done);
+
+    expect(client.write).toHaveBeenCalledTimes(1);
+    expect(msg.suppressedLines).toBe(1);
+    expect(send).toHaveBeenCalledWith(msg);
+    expect(done).toHaveBeenCalledWith();
+  });
+
+  test('only the changed points of a message are written', async () => {
+    const { configNode, writeNode } = createWriteNode(deadbandConfig);
+    const client = configNode.getClient();
+    await writeNode._handlers.input({ payload: 'tank,id=1 level=10\ntank,id=2 level=20' }, jest.fn(), jest.fn());
+
+    const msg = { payload: ['tank,id=1 level=10.1', 'tank,id=2 level=25'] };
+    await writeNode._handlers.input(msg, jest.fn(), jest.fn());
+
+    expect(client.write).toHaveBeenLastCalledWith('tank,id=2 level=25', 'metrics');
+    expect(msg.suppressedLines).toBe(1);
+  });
+
+  test('a value whose write failed is written again', async () => {
+    const { configNode, writeNode } = createWriteNode(deadbandConfig);
+    const client = configNode.getClient();
+    client.write.mockRejectedValueOnce(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+    const failed = jest.fn();
+    await writeNode._handlers.input({ payload: 'tank level=10' }, jest.fn(), failed);
+    expect(failed).toHaveBeenCalledWith(expect.any(Error));
+
+    const msg = { payload: 'tank level=10' };
+    await writeNode._handlers.input(msg, jest.fn(), jest.fn());
+
+    expect(client.write).toHaveBeenCalledTimes(2);
+    expect(client.write).toHaveBeenLastCalledWith('tank level=10', 'metrics');
+    expect(msg.suppressedLines).toBeUndefined();
+  });
+
+  test('values of a failed batch are written again', async () => {
+    const { configNode, writeNode } = createWriteNode({ ...deadbandConfig, batchEnabled: true, batchFlushInterval: 1000 });
+    const client = configNode.getClient();
+    client.write.mockRejectedValueOnce(Object.assign(new Error('HTTP 503'), { statusCode: 503 }));
+    writeNode._handlers.input({ payload: 'tank level=10' }, jest.fn(), jest.fn());
+    await jest.advanceTimersByTimeAsync(1000);
+
+    writeNode._handlers.input({ payload: 'tank level=10' }, jest.fn(), jest.fn());
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(client.write).toHaveBeenCalledTimes(2);
+    expect(client.write).toHaveBeenLastCalledWith('tank level=10', 'metrics');
+  });
+
+  test('unchanged values are written again after the maximum silence', async () => {
+    const { configNode, writeNode } = createWriteNode(deadbandConfig);
+    const client = configNode.getClient();
+    await writeNode._handlers.input({ payload: 'tank level=10' }, jest.fn(), jest.fn());
+    jest.advanceTimersByTime(30000);
+    await writeNode._handlers.input({ payload: 'tank level=10' }, jest.fn(), jest.fn());
+    jest.advanceTimersByTime(30000);
+    await writeNode._handlers.input({ payload: 'tank level=10' }, jest.fn(), jest.fn());
+
+    expect(client.write).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('connection telemetry', () => {
+  const telemetryConfig = { telemetryEnabled: true, telemetryInterval: 5000, telemetryInstance: 'edge-1' };
+
+  test('writes a point per write node on the interval with its own client', async () => {
+    const { influxModule, configNode, writeNode } = createWriteNode({ id: 'w1', z: 'flow1' }, telemetryConfig);
+    await writeNode._handlers.input({ payload: 'cpu value=1' }, jest.fn(), jest.fn());
+    const dataClient = configNode.getClient();
+
+    await jest.advanceTimersByTimeAsync(5000);
+
+    const telemetryClient = influxModule.__getLastClientInstance();
+    expect(telemetryClient).not.toBe(dataClient);
+    expect(dataClient.write).toHaveBeenCalledTimes(1);
+    expect(telemetryClient.write).toHaveBeenCalledWith(
+      expect.stringMatching(/^nodered_influxdb3,flow=flow1,instance=edge-1,node=w1 messages=1i,points=1i,writes=1i,/),
+      'metrics',
+      undefined,
+      { precision: 'ms' }
+    );
+  });
+
+  test('uses the configured database and measurement', async () => {
+    const { influxModule } = createWriteNode({ id: 'w1' }, {
+      ...telemetryConfig, telemetryDatabase: ' monitoring ', telemetryMeasurement: 'flows'
+    });
+    await jest.advanceTimersByTimeAsync(5000);
+
+    const write = influxModule.__getLastClientInstance().write;
+    expect(write.mock.calls[0][0]).toMatch(/^flows,instance=edge-1,node=w1 /);
+    expect(write.mock.calls[0][1]).toBe('monitoring');
+  });
+
+  test('a failing telemetry write is warned about once', async () => {
+    const { influxModule, configNode } = createWriteNode({ id: 'w1' }, telemetryConfig);
+    await jest.advanceTimersByTimeAsync(5000);
+    const write = influxModule.__getLastClientInstance().write;
+    write.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+    await jest.advanceTimersByTimeAsync(10000);
+
+    expect(write).toHaveBeenCalledTimes(3);
+    expect(configNode.warn).toHaveBeenCalledTimes(1);
+    expect(configNode.warn).toHaveBeenCalledWith('Telemetry not written: connect ECONNREFUSED');
+  });
+
+  test('is off by default and stops when the connection closes', async () => {
+    const { influxModule, configNode } = createWriteNode({ id: 'w1' });
+    await jest.advanceTimersByTimeAsync(120000);
+    expect(influxModule.__getLastClientInstance()).toBeUndefined();
+
+    const enabled = createWriteNode({ id: 'w1' }, telemetryConfig);
+    enabled.configNode._handlers.close();
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(configNode.telemetry).toBeNull();
+    expect(enabled.influxModule.__getLastClientInstance()).toBeUndefined();
+  });
+});
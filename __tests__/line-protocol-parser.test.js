@@ -0,0 +1,146 @@
+/**
+ * Tests for the full line protocol parser and strict validation.
+ * Imports the real helpers from the shipping code.
+ */
+
+const { parseLineProtocol, validateLineProtocolStrict } = require('../lib/line-protocol');
+
+describe('parseLineProtocol', () => {
+    test('parses measurement, tags, typed fields and timestamp', () => {
+        const { points, errors } = parseLineProtocol(
+            'weather,location=us-midwest temperature=82,rain=0.5e1,count=3i,bytes=7u,ok=true,note="dry" 1465839830100400200'
+        );
+        expect(errors).toEqual([]);
+        expect(points).toEqual([{
+            line: 1,
+            measurement: 'weather',
+            tags: { location: 'us-midwest' },
+            fields: {
+                temperature: { type: 'float', value: 82 },
+                rain: { type: 'float', value: 5 },
+                count: { type: 'integer', value: 3n },
+                bytes: { type: 'uinteger', value: 7n },
+                ok: { type: 'boolean', value: true },
+                note: { type: 'string', value: 'dry' }
+            },
+            timestamp: '1465839830100400200'
+        }]);
+    });
+
+    test('the timestamp is optional', () => {
+        expect(parseLineProtocol('m value=1').points[0].timestamp).toBeUndefined();
+    });
+
+    test('unescapes measurement, tag and field names', () => {
+        const [point] = parseLineProtocol('my\\ room\\,a,tag\\ key=a\\=b\\,c field\\=x=1').points;
+        expect(point.measurement).toBe('my room,a');
+        expect(point.tags).toEqual({ 'tag key': 'a=b,c' });
+        expect(point.fields).toEqual({ 'field=x': { type: 'float', value: 1 } });
+    });
+
+    test('string values keep spaces and commas and unescape quotes and backslashes', () => {
+        const [point] = parseLineProtocol('m s="a, b=c \\"q\\" \\\\ \\n"').points;
+        expect(point.fields.s.value).toBe('a, b=c "q" \\ \\n');
+    });
+
+    test('accepts every boolean spelling', () => {
+        const [point] = parseLineProtocol('m a=t,b=T,c=True,d=TRUE,e=f,f=F,g=False,h=FALSE').points;
+        expect(Object.values(point.fields).map((f) => f.value)).toEqual([true, true, true, true, false, false, false, false]);
+    });
+
+    test('keeps 64-bit integers exact', () => {
+        const [point] = parseLineProtocol('m i=-9223372036854775808i,u=18446744073709551615u 9223372036854775807').points;
+        expect(point.fields.i.value).toBe(-9223372036854775808n);
+        expect(point.fields.u.value).toBe(18446744073709551615n);
+        expect(point.timestamp).toBe('9223372036854775807');
+    });
+
+    test('skips blank and comment lines and tolerates CRLF', () => {
+        const { points, errors } = parseLineProtocol('# header\r\n\r\nm v=1\r\n  # indented comment\nm v=2\n');
+        expect(errors).toEqual([]);
+        expect(points.map((p) => p.line)).toEqual([3, 5]);
+    });
+
+    test.each([
+        ['m', 2, 'Missing field set'],
+        ['m,host=a', 9, 'Missing field set'],
+        [',host=a v=1', 1, 'Missing measurement name'],
+        ['m,=a v=1', 3, 'Empty tag key'],
+        ['m,host v=1', 7, "Tag 'host' has no value"],
+        ['m,host= v=1', 8, "Tag 'host' has an empty value"],
+        ['m v', 4, "Field 'v' has no value"],
+        ['m v=', 5, "Field 'v' has no value"],
+        ['m v=1,', 7, 'Empty field key'],
+        ['m v=warm', 5, "Invalid value 'warm' for field 'v'"],
+        ['m v=1.5i', 5, "Invalid value '1.5i' for field 'v'"],
+        ['m v=-1u', 5, "Invalid value '-1u' for field 'v': unsigned value -1 is outside the range"],
+        ['m v=9223372036854775808i', 5, 'outside the 64-bit range'],
+        ['m v=1e999', 5, 'outside the float range'],
+        ['m v="open', 5, "Unterminated string value for field 'v'"],
+        ['m v="a"b', 8, "Unexpected character 'b' after the value of field 'v'"],
+        ['m v=1 12.5', 7, "Invalid timestamp '12.5'"],
+        ['m v=1 99999999999999999999', 7, 'Invalid timestamp: integer value 99999999999999999999 is outside'],
+        ['m v=1 1 2', 9, 'Unexpected text after the timestamp']
+    ])('reports %s at column %i', (line, column, message) => {
+        const { points, errors } = parseLineProtocol(line);
+        expect(points).toEqual([]);
+        expect(errors).toHaveLength(1);
+        expect(errors[0].line).toBe(1);
+        expect(errors[0].column).toBe(column);
+        expect(errors[0].message).toContain(message);
+        expect(errors[0].text).toBe(line);
+    });
+
+    test('reports every invalid line and keeps the valid ones', () => {
+        const { points, errors } = parseLineProtocol('m v=1\n  m v=x\nm v=2\nm,t v=3');
+        expect(points.map((p) => p.line)).toEqual([1, 3]);
+        expect(errors.map((e) => [e.line, e.column])).toEqual([[2, 7], [4, 4]]);
+    });
+});
+
+describe('validateLineProtocolStrict', () => {
+    test('valid line protocol returns null', () => {
+        expect(validateLineProtocolStrict('m,host=a v=1,s="x y" 1700000000000000000\nm v=2i')).toBeNull();
+    });
+
+    test('names the line and column of the first problem', () => {
+        expect(validateLineProtocolStrict('m v=1\nm state=warm\nm v=x')).toBe(
+            "Invalid line protocol at line 2, column 9: Invalid value 'warm' for field 'state'. " +
+            'Expected a number, an integer (42i), an unsigned integer (42u), a boolean or a "double-quoted" string ' +
+            '(and 1 more invalid line(s)). Received: m state=warm'
+        );
+    });
+
+    test('keeps the JSON string hint of the basic check', () => {
+        expect(validateLineProtocolStrict('{"v":1}')).toContain('JSON/object string');
+    });
+});
+
+describe('pointToPayload', () => {
+    const { pointToPayload } = require('../lib/line-protocol');
+    const convert = (line) => pointToPayload(parseLineProtocol(line).points[0]);
+
+    test('gives the object format of the write node', () => {
+        expect(convert('cpu,host=a usage=12.5,procs=42i,state="ok",up=true 1700000000000000000')).toEqual({
+            measurement: 'cpu',
+            tags: { host: 'a' },
+            fields: { usage: 12.5, procs: 42, state: 'ok', up: true },
+            integers: ['procs'],
+            timestamp: '1700000000000000000'
+        });
+    });
+
+    test('lists unsigned fields and keeps large integers as digit strings', () => {
+        const payload = convert('m big=9223372036854775807i,bytes=18446744073709551615u,small=1u');
+        expect(payload.fields).toEqual({ big: '9223372036854775807', bytes: '18446744073709551615', small: 1 });
+        expect(payload.integers).toEqual(['big']);
+        expect(payload.uintegers).toEqual(['bytes', 'small']);
+    });
+
+    test('lists strings that look like integers', () => {
+        const payload = convert('m code="42i",name="x"');
+        expect(payload.strings).toEqual(['code']);
+        expect(payload.timestamp).toBeUndefined();
+        expect(payload.integers).toBeUndefined();
+    });
+});
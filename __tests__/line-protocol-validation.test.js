@@ -82,3 +82,43 @@ describe('Line protocol string validation', () => {
         expect(result).toContain('The payload string does not appear to be valid line protocol');
     });
 });
+
+describe('Exact 64-bit integers', () => {
+    const { Point } = require('@influxdata/influxdb3-client');
+    const {
+        parseExactInteger, exactIntegerPlaceholder, restoreExactIntegers
+    } = require('../lib/line-protocol');
+
+    test('parses BigInts, integral numbers and digit strings', () => {
+        expect(parseExactInteger(5n, false)).toEqual({ value: 5n });
+        expect(parseExactInteger(-7, false)).toEqual({ value: -7n });
+        expect(parseExactInteger('18446744073709551615', true)).toEqual({ value: 18446744073709551615n });
+    });
+
+    test('rejects non-integers', () => {
+        expect(parseExactInteger(1.5, false).error).toBe("'1.5' is not an integer");
+        expect(parseExactInteger('12abc', false).error).toBe("'12abc' is not an integer");
+    });
+
+    test('checks the signed and unsigned 64-bit ranges', () => {
+        expect(parseExactInteger(2n ** 63n - 1n, false).error).toBeUndefined();
+        expect(parseExactInteger(2n ** 63n, false).error).toContain('outside the 64-bit range');
+        expect(parseExactInteger(-(2n ** 63n) - 1n, false).error).toContain('outside the 64-bit range');
+        expect(parseExactInteger(2n ** 64n, true).error).toContain('outside the range 0 to 18446744073709551615');
+        expect(parseExactInteger(-1n, true).error).toContain('outside the range 0 to');
+    });
+
+    test('placeholders serialized by Point are restored to exact integers', () => {
+        const lp = new Point('m')
+            .setStringField('big', exactIntegerPlaceholder(9223372036854775807n, false))
+            .setStringField('max', exactIntegerPlaceholder(18446744073709551615n, true))
+            .setStringField('note', 'text')
+            .setTimestamp('1')
+            .toLineProtocol();
+        expect(restoreExactIntegers(lp)).toBe('m big=9223372036854775807i,max=18446744073709551615u,note="text" 1');
+    });
+
+    test('leaves ordinary line protocol untouched', () => {
+        expect(restoreExactIntegers('m value="42i" 1')).toBe('m value="42i" 1');
+    });
+});
@@ -0,0 +1,65 @@
+/**
+ * Tests for the write node's mapping table.
+ * Imports the real helpers from the shipping code.
+ */
+
+const { parseMappings, buildMappedPayload } = require('../lib/mapping');
+
+describe('parseMappings', () => {
+    test('trims keys and defaults the source type to msg', () => {
+        expect(parseMappings([{ key: ' temp ', type: 'float', source: 'payload' }])).toEqual([
+            { key: 'temp', type: 'float', source: 'payload', sourceType: 'msg' }
+        ]);
+    });
+
+    test('the timestamp needs no name', () => {
+        expect(parseMappings([{ type: 'timestamp', source: 'payload.ts', sourceType: 'msg' }])[0].key).toBe('');
+    });
+
+    test('rejects unknown types and missing names', () => {
+        expect(() => parseMappings([{ key: 'x', type: 'double' }])).toThrow("Mapping 1 has unknown type 'double'");
+        expect(() => parseMappings([{ key: ' ', type: 'tag' }])).toThrow('Mapping 1 needs a tag or field name');
+    });
+
+    test('missing table gives no mappings', () => {
+        expect(parseMappings(undefined)).toEqual([]);
+    });
+});
+
+describe('buildMappedPayload', () => {
+    test('builds tags, typed fields and the timestamp', () => {
+        const { payload } = buildMappedPayload([
+            { key: 'room', type: 'tag', value: 12 },
+            { key: 'temp', type: 'float', value: '21.5' },
+            { key: 'count', type: 'integer', value: 3 },
+            { key: 'bytes', type: 'uinteger', value: '18446744073709551615' },
+            { key: 'code', type: 'string', value: '42i' },
+            { key: 'ok', type: 'boolean', value: 'true' },
+            { key: '', type: 'timestamp', value: 1700000000000 }
+        ]);
+        expect(payload).toEqual({
+            tags: { room: '12' },
+            fields: { temp: 21.5, count: 3, bytes: '18446744073709551615', code: '42i', ok: true },
+            integers: ['count'],
+            uintegers: ['bytes'],
+            strings: ['code'],
+            timestamp: 1700000000000
+        });
+    });
+
+    test('null and undefined values are left out', () => {
+        const { payload } = buildMappedPayload([
+            { key: 'room', type: 'tag', value: undefined },
+            { key: 'temp', type: 'float', value: null }
+        ]);
+        expect(payload.tags).toEqual({});
+        expect(payload.fields).toEqual({});
+    });
+
+    test('reports values that do not fit', () => {
+        expect(buildMappedPayload([{ key: 'count', type: 'integer', value: 1.5 }]).error)
+            .toBe("Mapped field 'count' cannot be written as integer: 1.5 is not a whole number, so it cannot be written as integer");
+        expect(buildMappedPayload([{ key: 'room', type: 'tag', value: { a: 1 } }]).error)
+            .toBe("Mapped tag 'room' must be a string, number or boolean, not an object");
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * Tests for query placeholder detection and parameter binding.
+ * Imports the real helpers from the shipping code.
+ */
+
+const { findPlaceholders, bindParams } = require('../lib/query-params');
+
+describe('findPlaceholders', () => {
+    test('finds named placeholders in order of first use', () => {
+        expect(findPlaceholders('SELECT * FROM t WHERE room = $room AND time >= $since OR room = $room'))
+            .toEqual(['room', 'since']);
+    });
+
+    test('returns an empty array when there are no placeholders', () => {
+        expect(findPlaceholders('SELECT * FROM t')).toEqual([]);
+    });
+
+    test('ignores $ inside single-quoted strings, including escaped quotes', () => {
+        expect(findPlaceholders("SELECT * FROM t WHERE note = 'it''s $5' AND a = $a")).toEqual(['a']);
+    });
+
+    test('ignores $ inside double-quoted identifiers', () => {
+        expect(findPlaceholders('SELECT "$weird" FROM t WHERE a = $a')).toEqual(['a']);
+    });
+
+    test('ignores $ inside line and block comments', () => {
+        const query = 'SELECT * FROM t -- $todo\nWHERE a = $a /* $b */';
+        expect(findPlaceholders(query)).toEqual(['a']);
+    });
+
+    test('a lone $ or $ followed by a digit is not a placeholder', () => {
+        expect(findPlaceholders('SELECT $ , $1 FROM t')).toEqual([]);
+    });
+});
+
+describe('bindParams', () => {
+    test('returns string, number and boolean values unchanged', () => {
+        const params = bindParams('SELECT * FROM t WHERE a = $a AND b = $b AND c = $c', {
+            a: 'x', b: 1.5, c: true
+        });
+        expect(params).toEqual({ a: 'x', b: 1.5, c: true });
+    });
+
+    test('converts Date values to RFC 3339 strings', () => {
+        const params = bindParams('SELECT * FROM t WHERE time >= $since', {
+            since: new Date(Date.UTC(2024, 0, 1))
+        });
+        expect(params).toEqual({ since: '2024-01-01T00:00:00.000Z' });
+    });
+
+    test('unbound placeholders produce an error naming them', () => {
+        expect(() => bindParams('SELECT * FROM t WHERE a = $a AND b = $b', { a: 1 }))
+            .toThrow(/\$b have no value/);
+    });
+
+    test('placeholders named like inherited object properties are still unbound', () => {
+        expect(() => bindParams('SELECT * FROM t WHERE a = $constructor', {}))
+            .toThrow(/\$constructor have no value/);
+        expect(() => bindParams('SELECT * FROM t WHERE a = $toString', { a: 1 }))
+            .toThrow(/\$toString have no value/);
+    });
+
+    test('objects, arrays and null are rejected with the parameter name', () => {
+        expect(() => bindParams('SELECT $a', { a: { x: 1 } })).toThrow(/'a' has unsupported type 'object'/);
+        expect(() => bindParams('SELECT $a', { a: [1] })).toThrow(/'a' has unsupported type 'Array'/);
+        expect(() => bindParams('SELECT $a', { a: null })).toThrow(/'a' has unsupported type 'null'/);
+    });
+
+    test('non-finite numbers and invalid Dates are rejected', () => {
+        expect(() => bindParams('SELECT $a', { a: NaN })).toThrow(/only finite numbers/);
+        expect(() => bindParams('SELECT $a', { a: new Date('nope') })).toThrow(/invalid Date/);
+    });
+
+    test('parameters not used by the query are still passed through', () => {
+        expect(bindParams('SELECT 1', { extra: 'x' })).toEqual({ extra: 'x' });
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * Tests for write retry classification and backoff delays.
+ * Imports the real helpers from the shipping code.
+ */
+
+const { isRetryableError, parseRetryAfter, retryDelay } = require('../lib/retry');
+
+function httpError(statusCode, headers) {
+    const error = new Error(`HTTP ${statusCode}`);
+    error.statusCode = statusCode;
+    error.headers = headers;
+    return error;
+}
+
+function networkError(code) {
+    const error = new Error(`connect ${code}`);
+    error.code = code;
+    return error;
+}
+
+describe('isRetryableError', () => {
+    test('429 and 503 are retryable', () => {
+        expect(isRetryableError(httpError(429))).toBe(true);
+        expect(isRetryableError(httpError(503))).toBe(true);
+        expect(isRetryableError(httpError(500))).toBe(true);
+    });
+
+    test('400 line protocol errors and auth errors are permanent', () => {
+        expect(isRetryableError(httpError(400))).toBe(false);
+        expect(isRetryableError(httpError(401))).toBe(false);
+        expect(isRetryableError(httpError(403))).toBe(false);
+        expect(isRetryableError(httpError(404))).toBe(false);
+    });
+
+    test('501 and 505 are permanent', () => {
+        expect(isRetryableError(httpError(501))).toBe(false);
+        expect(isRetryableError(httpError(505))).toBe(false);
+    });
+
+    test('transient network errors are retryable', () => {
+        expect(isRetryableError(networkError('ECONNREFUSED'))).toBe(true);
+        expect(isRetryableError(networkError('ECONNRESET'))).toBe(true);
+        expect(isRetryableError(networkError('ETIMEDOUT'))).toBe(true);
+    });
+
+    test('unresolvable hosts and plain errors are permanent', () => {
+        expect(isRetryableError(networkError('ENOTFOUND'))).toBe(false);
+        expect(isRetryableError(new Error('InfluxDB token is not configured'))).toBe(false);
+        expect(isRetryableError(undefined)).toBe(false);
+    });
+
+    test('client request timeouts are retryable', () => {
+        const error = new Error('Request timed out');
+        error.name = 'RequestTimedOutError';
+        expect(isRetryableError(error)).toBe(true);
+    });
+});
+
+describe('parseRetryAfter', () => {
+    test('parses a delay in seconds', () => {
+        expect(parseRetryAfter('30')).toBe(30000);
+    });
+
+    test('parses an HTTP date relative to now', () => {
+        const now = Date.UTC(2024, 0, 1, 0, 0, 0);
+        expect(parseRetryAfter('Mon, 01 Jan 2024 00:00:10 GMT', now)).toBe(10000);
+    });
+
+    test('a date in the past means retry immediately', () => {
+        const now = Date.UTC(2024, 0, 1, 0, 1, 0);
+        expect(parseRetryAfter('Mon, 01 Jan 2024 00:00:10 GMT', now)).toBe(0);
+    });
+
+    test('uses the first value of a repeated header', () => {
+        expect(parseRetryAfter(['2', '5'])).toBe(2000);
+    });
+
+    test('returns null for missing or invalid values', () => {
+        expect(parseRetryAfter(undefined)).toBeNull();
+        expect(parseRetryAfter('')).toBeNull();
+        expect(parseRetryAfter('soon')).toBeNull();
+    });
+});
+
+describe('retryDelay', () => {
+    const options = { initialDelay: 1000, multiplier: 2, jitter: 0 };
+
+    test('grows exponentially with the attempt number', () => {
+        expect(retryDelay(1, options)).toBe(1000);
+        expect(retryDelay(2, options)).toBe(2000);
+        expect(retryDelay(3, options)).toBe(4000);
+    });
+
+    test('adds up to jitter ms of random delay', () => {
+        const withJitter = { ...options, jitter: 500 };
+        expect(retryDelay(1, withJitter, undefined, () => 0)).toBe(1000);
+        expect(retryDelay(1, withJitter, undefined, () => 0.5)).toBe(1250);
+        expect(retryDelay(1, withJitter, undefined, () => 1)).toBe(1500);
+    });
+
+    test('a Retry-After header overrides the computed delay', () => {
+        expect(retryDelay(3, options, httpError(429, { 'retry-after': '7' }))).toBe(7000);
+    });
+
+    test('an invalid Retry-After header falls back to backoff', () => {
+        expect(retryDelay(2, options, httpError(503, { 'retry-after': 'later' }))).toBe(2000);
+    });
+
+    test('maxDelay caps both Retry-After and the backoff', () => {
+        const capped = { ...options, maxDelay: 5000 };
+        expect(retryDelay(1, capped, httpError(503, { 'retry-after': '86400' }))).toBe(5000);
+        expect(retryDelay(10, capped)).toBe(5000);
+        expect(retryDelay(2, capped)).toBe(2000);
+    });
+});
@@ -0,0 +1,84 @@
+/**
+ * Tests for classifying information_schema columns into tags and fields.
+ * Imports the real helpers from the shipping code.
+ */
+
+const { describeColumn, groupColumns, schemaEntries, isSchemaConflict } = require('../lib/schema');
+
+describe('describeColumn', () => {
+    test('dictionary encoded columns are tags', () => {
+        expect(describeColumn('host', 'Dictionary(Int32, Utf8)')).toEqual({ name: 'host', kind: 'tag', type: undefined });
+    });
+
+    test('the time column is the timestamp', () => {
+        expect(describeColumn('time', 'Timestamp(Nanosecond, None)').kind).toBe('time');
+    });
+
+    test('field columns map to line protocol types', () => {
+        expect(describeColumn('usage', 'Float64').type).toBe('float');
+        expect(describeColumn('count', 'Int64').type).toBe('integer');
+        expect(describeColumn('bytes', 'UInt64').type).toBe('uinteger');
+        expect(describeColumn('note', 'Utf8').type).toBe('string');
+        expect(describeColumn('ok', 'Boolean').type).toBe('boolean');
+    });
+
+    test('unknown field types are left undefined', () => {
+        expect(describeColumn('odd', 'Decimal128(10, 2)')).toEqual({ name: 'odd', kind: 'field', type: undefined });
+    });
+});
+
+describe('groupColumns', () => {
+    test('groups rows by measurement with sorted tags and fields', () => {
+        const rows = [
+            { table_name: 'mem', column_name: 'used', data_type: 'Int64' },
+            { table_name: 'cpu', column_name: 'usage', data_type: 'Float64' },
+            { table_name: 'cpu', column_name: 'time', data_type: 'Timestamp(Nanosecond, None)' },
+            { table_name: 'cpu', column_name: 'region', data_type: 'Dictionary(Int32, Utf8)' },
+            { table_name: 'cpu', column_name: 'host', data_type: 'Dictionary(Int32, Utf8)' },
+            { table_name: 'cpu', column_name: 'idle', data_type: 'Float64' }
+        ];
+
+        expect(groupColumns(rows)).toEqual([
+            {
+                name: 'cpu',
+                tags: ['host', 'region'],
+                fields: [{ name: 'idle', type: 'float' }, { name: 'usage', type: 'float' }]
+            },
+            { name: 'mem', tags: [], fields: [{ name: 'used', type: 'integer' }] }
+        ]);
+    });
+
+    test('no rows gives no measurements', () => {
+        expect(groupColumns([])).toEqual([]);
+    });
+});
+
+describe('schemaEntries', () => {
+    test('lists tags and typed fields as schema table entries', () => {
+        const entries = schemaEntries([
+            { name: 'cpu', tags: ['host'], fields: [{ name: 'usage', type: 'float' }, { name: 'raw', type: undefined }] }
+        ]);
+        expect(entries).toEqual([
+            { measurement: 'cpu', key: 'host', type: 'tag' },
+            { measurement: 'cpu', key: 'usage', type: 'float' }
+        ]);
+    });
+});
+
+describe('isSchemaConflict', () => {
+    test('recognizes type conflict errors', () => {
+        expect(isSchemaConflict(new Error('schema conflict: column temp is type float'))).toBe(true);
+        expect(isSchemaConflict(new Error('field type conflict: input field "temp" on measurement "cpu" is type integer, already exists as type float'))).toBe(true);
+    });
+
+    test('checks the rejected lines of a partial write', () => {
+        const error = new Error('partial write of line protocol occurred');
+        error.lineErrors = [{ lineNumber: 1, errorMessage: 'invalid column type for column \'temp\'' }];
+        expect(isSchemaConflict(error)).toBe(true);
+    });
+
+    test('other errors are not conflicts', () => {
+        expect(isSchemaConflict(new Error('unable to parse line'))).toBe(false);
+        expect(isSchemaConflict(undefined)).toBe(false);
+    });
+});
@@ -0,0 +1,114 @@
+/**
+ * Tests for the disk-backed write spool.
+ * Uses the real filesystem in a temporary directory per test.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createSpool } = require('../lib/spool');
+
+let dir;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'influx-spool-'));
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('createSpool', () => {
+    test('creates the directory and starts empty', () => {
+        const spoolDir = path.join(dir, 'nested', 'spool');
+        const spool = createSpool(spoolDir, { maxBytes: 1024 });
+        expect(fs.existsSync(spoolDir)).toBe(true);
+        expect(spool.isEmpty()).toBe(true);
+        expect(spool.peek()).toBeNull();
+        expect(spool.size()).toEqual({ entries: 0, lines: 0, bytes: 0 });
+    });
+
+    test('keeps the timestamp precision of an entry', () => {
+        const spool = createSpool(dir, { maxBytes: 1024 });
+        spool.append('db1', 'cpu value=1 1700000000', 's');
+
+        const reopened = createSpool(dir, { maxBytes: 1024 });
+        expect(reopened.peek()).toEqual({ database: 'db1', lineProtocol: 'cpu value=1 1700000000', precision: 's' });
+    });
+
+    test('returns entries oldest first and counts lines', () => {
+        const spool = createSpool(dir, { maxBytes: 1024 });
+        spool.append('db1', 'cpu value=1');
+        spool.append('db2', 'cpu value=2\ncpu value=3');
+
+        expect(spool.size()).toMatchObject({ entries: 2, lines: 3 });
+        expect(spool.peek()).toEqual({ database: 'db1', lineProtocol: 'cpu value=1' });
+        spool.shift();
+        expect(spool.peek()).toEqual({ database: 'db2', lineProtocol: 'cpu value=2\ncpu value=3' });
+        spool.shift();
+        expect(spool.isEmpty()).toBe(true);
+        expect(fs.readdirSync(dir)).toEqual([]);
+    });
+
+    test('survives a restart in order, with the backlog depth restored', () => {
+        const first = createSpool(dir, { maxBytes: 1024 });
+        first.append('db', 'cpu value=1');
+        first.append('db', 'cpu value=2\ncpu value=3');
+
+        const reopened = createSpool(dir, { maxBytes: 1024 });
+        expect(reopened.size()).toMatchObject({ entries: 2, lines: 3 });
+        expect(reopened.peek().lineProtocol).toBe('cpu value=1');
+
+        reopened.append('db', 'cpu value=4');
+        reopened.shift();
+        reopened.shift();
+        expect(reopened.peek().lineProtocol).toBe('cpu value=4');
+    });
+
+    test('removes leftover temporary files when opened', () => {
+        fs.writeFileSync(path.join(dir, '000000000001-1.json.tmp'), '{"da');
+        createSpool(dir, { maxBytes: 1024 });
+        expect(fs.readdirSync(dir)).toEqual([]);
+    });
+
+    test('drop-oldest evicts the oldest entries to make room', () => {
+        const entryBytes = Buffer.byteLength(JSON.stringify({ database: 'db', lineProtocol: 'cpu value=1' }));
+        const spool = createSpool(dir, { maxBytes: entryBytes * 2 });
+        spool.append('db', 'cpu value=1');
+        spool.append('db', 'cpu value=2');
+        const result = spool.append('db', 'cpu value=3');
+
+        expect(result).toEqual({ stored: true, evictedLines: 1 });
+        expect(spool.size().entries).toBe(2);
+        expect(spool.peek().lineProtocol).toBe('cpu value=2');
+    });
+
+    test('drop-newest rejects new entries when full', () => {
+        const entryBytes = Buffer.byteLength(JSON.stringify({ database: 'db', lineProtocol: 'cpu value=1' }));
+        const spool = createSpool(dir, { maxBytes: entryBytes, overflow: 'drop-newest' });
+        spool.append('db', 'cpu value=1');
+
+        expect(spool.append('db', 'cpu value=2')).toEqual({ stored: false, evictedLines: 0 });
+        expect(spool.peek().lineProtocol).toBe('cpu value=1');
+    });
+
+    test('an entry larger than the whole spool is rejected', () => {
+        const spool = createSpool(dir, { maxBytes: 10 });
+        expect(spool.append('db', 'cpu value=1').stored).toBe(false);
+        expect(spool.isEmpty()).toBe(true);
+    });
+
+    test('unreadable entries are discarded and reported', () => {
+        const onDiscard = jest.fn();
+        const spool = createSpool(dir, { maxBytes: 1024, onDiscard });
+        spool.append('db', 'cpu value=1');
+        spool.append('db', 'cpu value=2');
+        const [firstFile] = fs.readdirSync(dir).sort();
+        fs.writeFileSync(path.join(dir, firstFile), 'not json');
+
+        expect(spool.peek().lineProtocol).toBe('cpu value=2');
+        expect(onDiscard).toHaveBeenCalledWith(expect.stringContaining('could not be read'));
+        expect(spool.size().entries).toBe(1);
+    });
+});
@@ -0,0 +1,42 @@
+/**
+ * Tests for the connection's telemetry points.
+ * Imports the real helpers from the shipping code.
+ */
+
+const { telemetryLine } = require('../lib/telemetry');
+const { createWriteMetrics } = require('../lib/write-metrics');
+const { parseLineProtocol } = require('../lib/line-protocol');
+
+describe('telemetryLine', () => {
+    const tags = { instance: 'edge 1', flow: 'f1', node: 'w1' };
+
+    test('writes the counters as integer fields and latency as floats', () => {
+        const metrics = createWriteMetrics(() => 0);
+        metrics.recordWrite({ messages: 2, points: 5, size: { raw: 300, compressed: 120 }, latencyMs: 40 });
+        metrics.recordError('http 400', 1, 'bad line');
+        const line = telemetryLine('node red', tags, metrics.snapshot(), { buffered: 7, spooled: 3 }, 1700000000000);
+
+        expect(line.startsWith('node\\ red,flow=f1,instance=edge\\ 1,node=w1 ')).toBe(true);
+        const { points, errors } = parseLineProtocol(line);
+        expect(errors).toEqual([]);
+        expect(points[0].timestamp).toBe('1700000000000');
+        expect(points[0].fields).toMatchObject({
+            messages: { type: 'integer', value: 2n },
+            points: { type: 'integer', value: 5n },
+            bytes_raw: { type: 'integer', value: 300n },
+            bytes_sent: { type: 'integer', value: 120n },
+            errors: { type: 'integer', value: 1n },
+            queue_buffered_lines: { type: 'integer', value: 7n },
+            queue_spooled_lines: { type: 'integer', value: 3n },
+            latency_p95_ms: { type: 'float', value: 40 }
+        });
+    });
+
+    test('leaves out latency before the first write and tags without a value', () => {
+        const line = telemetryLine('m', { instance: 'i', flow: undefined, node: 'w1' },
+            createWriteMetrics().snapshot(), { buffered: 0, spooled: 0 }, 1);
+
+        expect(line).toMatch(/^m,instance=i,node=w1 messages=0i,/);
+        expect(line).not.toContain('latency');
+    });
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for timestamp precision parsing and exact conversions.
+ * Imports the real helpers from the shipping code.
+ */
+
+const {
+    parsePrecision,
+    convertTimestamp,
+    hasFraction,
+    dateToTimestamp,
+    dateStringToTimestamp
+} = require('../lib/timestamp');
+
+describe('parsePrecision', () => {
+    test('accepts short and long unit names case-insensitively', () => {
+        expect(parsePrecision('s')).toBe('s');
+        expect(parsePrecision('MS')).toBe('ms');
+        expect(parsePrecision(' us ')).toBe('us');
+        expect(parsePrecision('nanoseconds')).toBe('ns');
+        expect(parsePrecision('Second')).toBe('s');
+    });
+
+    test('blank values mean no declared precision', () => {
+        expect(parsePrecision(undefined)).toBeUndefined();
+        expect(parsePrecision(null)).toBeUndefined();
+        expect(parsePrecision('  ')).toBeUndefined();
+    });
+
+    test('unknown values throw', () => {
+        expect(() => parsePrecision('minutes')).toThrow(
+            "Invalid precision 'minutes'. Expected one of: s, ms, us, ns"
+        );
+    });
+});
+
+describe('convertTimestamp', () => {
+    test('keeps every digit of a nanosecond string or BigInt', () => {
+        expect(convertTimestamp('1700000000123456789', 'ns', 'ns')).toBe('1700000000123456789');
+        expect(convertTimestamp(1700000000123456789n, 'ns', 'ns')).toBe('1700000000123456789');
+    });
+
+    test('scales up without losing a fraction of the source unit', () => {
+        expect(convertTimestamp(1700000000.123456, 's', 'us')).toBe('1700000000123456');
+        expect(convertTimestamp(1700000000123.5, 'ms', 'ns')).toBe('1700000000123500000');
+        expect(convertTimestamp(1700000000, 's', 'ns')).toBe('1700000000000000000');
+    });
+
+    test('scales down by dropping the remainder', () => {
+        expect(convertTimestamp('1700000000123456789', 'ns', 'ms')).toBe('1700000000123');
+        expect(convertTimestamp(999, 'ms', 's')).toBe('0');
+    });
+
+    test('drops a fraction of the target unit', () => {
+        expect(convertTimestamp(1700000000.9, 's', 's')).toBe('1700000000');
+    });
+
+    test('keeps the sign of timestamps before 1970', () => {
+        expect(convertTimestamp('-5', 'ns', 'ns')).toBe('-5');
+        expect(convertTimestamp(-1, 's', 'ms')).toBe('-1000');
+        expect(convertTimestamp(-5n, 'ns', 'ns')).toBe('-5');
+        expect(convertTimestamp('-1500', 'ms', 's')).toBe('-1');
+        expect(convertTimestamp('-999', 'ms', 's')).toBe('0');
+    });
+
+    test('rejects non-numeric values', () => {
+        expect(convertTimestamp(NaN, 's', 's')).toBeNull();
+        expect(convertTimestamp('--1', 's', 's')).toBeNull();
+        expect(convertTimestamp('12a', 's', 's')).toBeNull();
+        expect(convertTimestamp({}, 's', 's')).toBeNull();
+    });
+});
+
+describe('hasFraction', () => {
+    test('is true only for a non-zero fraction', () => {
+        expect(hasFraction(1700000000.75)).toBe(true);
+        expect(hasFraction('-1700000000.001')).toBe(true);
+        expect(hasFraction(1e-7)).toBe(true);
+        expect(hasFraction(1700000000)).toBe(false);
+        expect(hasFraction('1700000000.000')).toBe(false);
+        expect(hasFraction(1700000000123456789n)).toBe(false);
+        expect(hasFraction('abc')).toBe(false);
+    });
+});
+
+describe('dateToTimestamp', () => {
+    test('expresses a Date in each precision', () => {
+        const date = new Date(1700000000123);
+        expect(dateToTimestamp(date, 's')).toBe('1700000000');
+        expect(dateToTimestamp(date, 'ms')).toBe('1700000000123');
+        expect(dateToTimestamp(date, 'ns')).toBe('1700000000123000000');
+    });
+
+    test('dates before 1970 are negative', () => {
+        expect(dateToTimestamp(new Date(-1500), 'ms')).toBe('-1500');
+    });
+
+    test('an invalid Date gives null', () => {
+        expect(dateToTimestamp(new Date('nope'), 'ms')).toBeNull();
+    });
+});
+
+describe('dateStringToTimestamp', () => {
+    test('keeps fractional seconds beyond milliseconds', () => {
+        expect(dateStringToTimestamp('2023-11-14T22:13:20.123456789Z', 'ns')).toBe('1700000000123456789');
+        expect(dateStringToTimestamp('2023-11-14T23:13:20.123456+01:00', 'us')).toBe('1700000000123456');
+    });
+
+    test('parses ordinary date strings', () => {
+        expect(dateStringToTimestamp('2023-11-14T22:13:20.123Z', 'ms')).toBe('1700000000123');
+        expect(dateStringToTimestamp('2023-11-14T22:13:20Z', 's')).toBe('1700000000');
+    });
+
+    test('a string that is not a date gives null', () => {
+        expect(dateStringToTimestamp('not-a-date', 'ms')).toBeNull();
+    });
+});
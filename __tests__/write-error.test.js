@@ -0,0 +1,48 @@
+/**
+ * Tests for describing failed writes for the write node's error output.
+ * Imports the real helper from the shipping code.
+ */
+
+const { describeWriteError } = require('../lib/write-error');
+
+describe('describeWriteError', () => {
+    test('describes an InfluxDB 3 error response with rejected lines', () => {
+        const error = new Error('HTTP 400');
+        error.statusCode = 400;
+        error.json = {
+            error: 'parsing failed for write_lp endpoint',
+            data: [{ original_line: 'cpu value=oops', line_number: 2, error_message: 'invalid field value' }]
+        };
+        expect(describeWriteError(error)).toEqual({
+            message: 'HTTP 400',
+            statusCode: 400,
+            serverMessage: 'parsing failed for write_lp endpoint',
+            retryable: false,
+            lines: [{ lineNumber: 2, errorMessage: 'invalid field value', originalLine: 'cpu value=oops' }]
+        });
+    });
+
+    test('uses a plain response body and the client line errors', () => {
+        const error = new Error('HTTP 503');
+        error.statusCode = 503;
+        error.body = ' service unavailable\n';
+        error.lineErrors = [{ lineNumber: 1, errorMessage: 'x' }];
+        expect(describeWriteError(error)).toMatchObject({
+            serverMessage: 'service unavailable',
+            retryable: true,
+            lines: [{ lineNumber: 1, errorMessage: 'x' }]
+        });
+    });
+
+    test('errors without a response have no status', () => {
+        const error = new Error('connect ECONNREFUSED');
+        error.code = 'ECONNREFUSED';
+        expect(describeWriteError(error)).toEqual({
+            message: 'connect ECONNREFUSED',
+            statusCode: undefined,
+            serverMessage: undefined,
+            retryable: true,
+            lines: []
+        });
+    });
+});
@@ -0,0 +1,99 @@
+/**
+ * Tests for the write node's counters.
+ * Imports the real helpers from the shipping code.
+ */
+
+const { createWriteMetrics, errorType, isConnectionError } = require('../lib/write-metrics');
+
+describe('errorType', () => {
+    test('classifies HTTP, timeout and network errors', () => {
+        expect(errorType(Object.assign(new Error('x'), { statusCode: 400 }))).toBe('http 400');
+        expect(errorType(Object.assign(new Error('x'), { name: 'RequestTimedOutError' }))).toBe('timeout');
+        expect(errorType(Object.assign(new Error('x'), { code: 'ECONNREFUSED' }))).toBe('ECONNREFUSED');
+        expect(errorType(new Error('x'))).toBe('other');
+    });
+
+    test('timeouts and network errors are connection errors', () => {
+        expect(isConnectionError('timeout')).toBe(true);
+        expect(isConnectionError('ECONNRESET')).toBe(true);
+        expect(isConnectionError('http 503')).toBe(false);
+        expect(isConnectionError('other')).toBe(false);
+    });
+});
+
+describe('createWriteMetrics', () => {
+    let time;
+    const now = () => time;
+
+    beforeEach(() => {
+        time = Date.UTC(2026, 0, 1);
+    });
+
+    test('counts writes, bytes and latency percentiles', () => {
+        const metrics = createWriteMetrics(now);
+        for (let i = 1; i <= 100; i++) {
+            metrics.recordWrite({ messages: 2, points: 10, size: { raw: 1000, compressed: i % 2 ? 100 : null }, latencyMs: i });
+        }
+        const snapshot = metrics.snapshot();
+        expect(snapshot).toMatchObject({
+            since: '2026-01-01T00:00:00.000Z',
+            messages: 200,
+            points: 1000,
+            writes: 100,
+            bytes: { raw: 100000, sent: 55000 },
+            latencyMs: { p50: 50, p95: 95, p99: 99, max: 100, samples: 100 },
+            lastWrite: '2026-01-01T00:00:00.000Z'
+        });
+        expect(metrics.summary()).toBe('1000 pts · p95 95 ms');
+    });
+
+    test('percentiles follow the most recent writes', () => {
+        const metrics = createWriteMetrics(now);
+        for (let i = 0; i < 1000; i++) {
+            metrics.recordWrite({ messages: 1, points: 1, size: { raw: 1, compressed: null }, latencyMs: 500 });
+        }
+        for (let i = 0; i < 1000; i++) {
+            metrics.recordWrite({ messages: 1, points: 1, size: { raw: 1, compressed: null }, latencyMs: 5 });
+        }
+        expect(metrics.snapshot().latencyMs).toEqual({ p50: 5, p95: 5, p99: 5, max: 5, samples: 1000 });
+    });
+
+    test('counts errors by type and the other outcomes', () => {
+        const metrics = createWriteMetrics(now);
+        metrics.recordError('http 400', 3, 'bad line');
+        metrics.recordError('invalid', 1, 'Measurement not specified');
+        metrics.recordRejectedLines(2);
+        metrics.recordSkippedItems(4);
+        metrics.recordSuppressedLines(6);
+        metrics.recordSpooled(5);
+
+        expect(metrics.snapshot()).toMatchObject({
+            errors: { total: 4, byType: { 'http 400': 3, invalid: 1 } },
+            rejectedLines: 2,
+            skippedItems: 4,
+            suppressedLines: 6,
+            spooled: 5,
+            lastWrite: null,
+            lastError: { type: 'invalid', message: 'Measurement not specified', at: '2026-01-01T00:00:00.000Z' },
+            latencyMs: { p50: null, samples: 0 }
+        });
+        expect(metrics.summary()).toBe('0 pts · 4 err');
+    });
+
+    test('a write after connection errors counts as one reconnect', () => {
+        const metrics = createWriteMetrics(now);
+        const write = { messages: 1, points: 1, size: { raw: 1, compressed: null }, latencyMs: 1 };
+        metrics.recordConnectionError();
+        metrics.recordConnectionError();
+        metrics.recordWrite(write);
+        metrics.recordWrite(write);
+
+        expect(metrics.snapshot()).toMatchObject({ connectionErrors: 2, reconnects: 1 });
+    });
+
+    test('large counts are shortened in the summary', () => {
+        const metrics = createWriteMetrics(now);
+        metrics.recordWrite({ messages: 1, points: 12345, size: { raw: 1, compressed: null }, latencyMs: 1 });
+        expect(metrics.summary()).toBe('12.3k pts · p95 1 ms');
+    });
+});
@@ -11,16 +11,47 @@ module.exports = function(RED) {
     //   Point.setBooleanField(name, value)
     //   Point.setTag(name, value)
     //   Point.setTimestamp(date)
-    //   Point.toLineProtocol()
+    //   Point.toLineProtocol(precision)
     const { InfluxDBClient, Point, PartialWriteError } = require('@influxdata/influxdb3-client');
     const fs = require('fs');
-    const { validateLineProtocol } = require('./lib/line-protocol');
+    const os = require('os');
+    const path = require('path');
+    const util = require('util');
+    const zlib = require('zlib');
+    const {
+        validateLineProtocol, validateLineProtocolStrict, parseLineProtocol, parseErrorMessage, pointToPayload,
+        addTagsToLineProtocol, parseExactInteger, exactIntegerPlaceholder, restoreExactIntegers
+    } = require('./lib/line-protocol');
+    const { bindParams } = require('./lib/query-params');
+    const { isRetryableError, retryDelay } = require('./lib/retry');
+    const { createSpool } = require('./lib/spool');
+    const { describeConnectionError } = require('./lib/connection-errors');
+    const { getJson } = require('./lib/http-json');
+    const { buildSchema, coerceFieldValue } = require('./lib/field-schema');
+    const { parseMappings, buildMappedPayload } = require('./lib/mapping');
+    const { resolveDefaultTags } = require('./lib/default-tags');
+    const { flattenEntries } = require('./lib/flatten');
+    const { describeWriteError } = require('./lib/write-error');
+    const { createWriteMetrics, errorType, isConnectionError } = require('./lib/write-metrics');
+    const { telemetryLine } = require('./lib/telemetry');
+    const { createDeadbandFilter } = require('./lib/deadband');
+    const { COLUMNS_QUERY, groupColumns, schemaEntries, isSchemaConflict } = require('./lib/schema');
+    const {
+        PRECISIONS, parsePrecision, convertTimestamp, hasFraction, dateToTimestamp, dateStringToTimestamp
+    } = require('./lib/timestamp');
 
     // Heuristic bounds for plausible millisecond timestamps. Values outside this
     // range usually mean the source supplied seconds or nanoseconds instead.
     const MS_TIMESTAMP_PLAUSIBLE_MIN = Date.UTC(2000, 0, 1);
     const ONE_DAY_MS = 24 * 60 * 60 * 1000;
 
+    // Write bodies larger than this are gzipped unless configured otherwise
+    // (the client library's own default)
+    const DEFAULT_GZIP_THRESHOLD = 1000;
+    const DEFAULT_TELEMETRY_MEASUREMENT = 'nodered_influxdb3';
+
+    const gzip = util.promisify(zlib.gzip);
+
     /**
      * Normalize host URL to ensure it has trailing slash
      * @param {string} host
@@ -33,6 +64,145 @@ module.exports = function(RED) {
         return host.endsWith('/') ? host : host + '/';
     }
 
+    /**
+     * Build InfluxDBClient options from connection settings.
+     * @param {{host: string, token: string, database: string, tlsRejectUnauthorized: boolean, caCertPath: string, gzipThreshold: (number|null|undefined)}} settings
+     * @returns {object} Client options
+     * @throws {Error} When the CA certificate cannot be read
+     */
+    function buildClientOptions(settings) {
+        // Build per-client transport (TLS) options. These are passed only to this
+        // client's HTTPS requests, so they do NOT affect other connections or the
+        // rest of the Node-RED process (unlike NODE_TLS_REJECT_UNAUTHORIZED /
+        // NODE_EXTRA_CA_CERTS, which are global and read only at process startup).
+        const transportOptions = {};
+
+        if (!settings.tlsRejectUnauthorized) {
+            transportOptions.rejectUnauthorized = false;
+        }
+
+        if (settings.caCertPath) {
+            try {
+                transportOptions.ca = fs.readFileSync(settings.caCertPath);
+            } catch (error) {
+                throw new Error(
+                    `Failed to read CA certificate from '${settings.caCertPath}': ${error.message}`,
+                    { cause: error }
+                );
+            }
+        }
+
+        const clientOptions = {
+            host: normalizeHost(settings.host),
+            token: settings.token,
+            database: settings.database
+        };
+        if (Object.keys(transportOptions).length > 0) {
+            clientOptions.transportOptions = transportOptions;
+        }
+        if (settings.gzipThreshold !== undefined) {
+            // The client gzips write bodies larger than the threshold; an
+            // infinite threshold turns compression off
+            clientOptions.writeOptions = {
+                gzipThreshold: settings.gzipThreshold === null ? Infinity : settings.gzipThreshold
+            };
+        }
+        return clientOptions;
+    }
+
+    /**
+     * Resolve the target database for a message: msg.database, then the node
+     * override, then the connection default. Each source is trimmed before the
+     * fallback so a blank/whitespace-only value falls back instead of being used
+     * verbatim.
+     * @param {object} msg - The incoming Node-RED message
+     * @param {object} node - A node with `database` and `influxdb` (config node) properties
+     * @returns {string|undefined}
+     */
+    function resolveDatabase(msg, node) {
+        const trimDb = (d) => (typeof d === 'string' ? d.trim() : d);
+        return trimDb(msg.database) || trimDb(node.database) || trimDb(node.influxdb.database);
+    }
+
+    /**
+     * Create a status setter for a node, with optional auto-clear.
+     * `set(status, clearAfterMs)` replaces the current status (cancelling any
+     * pending auto-clear); `clear()` cancels the timer and blanks the status.
+     * @param {object} node
+     * @param {function(): object} [idle] - Status shown when an auto-clear expires,
+     *   instead of a blank one
+     * @returns {{set: function(object, number=): void, clear: function(): void}}
+     */
+    function createStatusSetter(node, idle) {
+        let statusTimeout = null;
+
+        function cancel() {
+            if (statusTimeout) {
+                clearTimeout(statusTimeout);
+                statusTimeout = null;
+            }
+        }
+
+        return {
+            set(status, clearAfterMs) {
+                cancel();
+                node.status(status);
+                if (clearAfterMs && clearAfterMs > 0) {
+                    statusTimeout = setTimeout(function() {
+                        node.status(idle ? idle() : {});
+                        statusTimeout = null;
+                    }, clearAfterMs);
+                }
+            },
+            clear() {
+                cancel();
+                node.status({});
+            }
+        };
+    }
+
+    /**
+     * Parse a positive integer setting, falling back to a default when the value
+     * is blank or invalid.
+     * @param {*} value
+     * @param {number} fallback
+     * @returns {number}
+     */
+    function positiveInt(value, fallback) {
+        const parsed = parseInt(value, 10);
+        return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+    }
+
+    /**
+     * Shorten an error message for display in a node status.
+     * @param {Error} error
+     * @returns {string}
+     */
+    function shortErrorMessage(error) {
+        return error.message
+            ? (error.message.length > 80 ? error.message.substring(0, 80) + '...' : error.message)
+            : 'unknown error';
+    }
+
+    /**
+     * Resolve a node's default tag table, reporting problems on the node.
+     * @param {object} node - The config or write node
+     * @param {Array<{key: string, value: string}>} entries
+     * @returns {Object<string, string>}
+     */
+    function loadDefaultTags(node, entries) {
+        try {
+            const { tags, skipped } = resolveDefaultTags(entries, substituteEnv);
+            if (skipped.length > 0) {
+                node.warn(`Default tags not written: ${skipped.join(', ')}`);
+            }
+            return tags;
+        } catch (error) {
+            node.error(`Invalid default tags: ${error.message}. The default tags are ignored.`);
+            return {};
+        }
+    }
+
     /**
      * Configuration node to hold InfluxDB v3 connection details
      * @param {object} config
@@ -50,6 +220,29 @@ module.exports = function(RED) {
         this.tlsRejectUnauthorized = config.tlsRejectUnauthorized !== false;
         /** @type {string} */
         this.caCertPath = config.caCertPath;
+        // Write bodies above this many bytes are gzipped; null disables compression
+        const gzipThreshold = parseInt(config.gzipThreshold, 10);
+        /** @type {number|null} */
+        this.gzipThreshold = config.gzipEnabled === false
+            ? null
+            : (Number.isInteger(gzipThreshold) && gzipThreshold >= 0 ? gzipThreshold : DEFAULT_GZIP_THRESHOLD);
+        /** @type {boolean} Gzip written bodies a second time to report their compressed size */
+        this.gzipMeasure = config.gzipMeasure === true;
+        /** @type {Object<string, string>} Tags added to every point written through this connection */
+        this.defaultTags = loadDefaultTags(this, config.defaultTags);
+        // Periodic counters of the write nodes using this connection; null when off
+        /** @type {{interval: number, database: string, measurement: string, instance: string}|null} */
+        this.telemetry = config.telemetryEnabled === true
+            ? {
+                interval: positiveInt(config.telemetryInterval, 60000),
+                // Empty: the connection's database
+                database: typeof config.telemetryDatabase === 'string' ? config.telemetryDatabase.trim() : '',
+                measurement: (typeof config.telemetryMeasurement === 'string' && config.telemetryMeasurement.trim()) ||
+                    DEFAULT_TELEMETRY_MEASUREMENT,
+                instance: (typeof config.telemetryInstance === 'string' && substituteEnv(config.telemetryInstance.trim())) ||
+                    os.hostname()
+            }
+            : null;
 
         // Store token as a credential (populated by Node-RED runtime)
         /** @type {string} */
@@ -80,45 +273,23 @@ module.exports = function(RED) {
                     throw new Error('InfluxDB database is not configured');
                 }
 
-                const normalizedHost = normalizeHost(configNode.host);
-
-                // Build per-client transport (TLS) options. These are passed only to this
-                // client's HTTPS requests, so they do NOT affect other connections or the
-                // rest of the Node-RED process (unlike NODE_TLS_REJECT_UNAUTHORIZED /
-                // NODE_EXTRA_CA_CERTS, which are global and read only at process startup).
-                const transportOptions = {};
+                const clientOptions = buildClientOptions(configNode);
 
                 if (!configNode.tlsRejectUnauthorized) {
-                    transportOptions.rejectUnauthorized = false;
                     RED.log.warn(
                         'InfluxDB v3: TLS certificate verification is disabled for this connection. ' +
                         'This is insecure and should only be used for trusted local instances.'
                     );
                 }
-
                 if (configNode.caCertPath) {
-                    try {
-                        transportOptions.ca = fs.readFileSync(configNode.caCertPath);
-                        RED.log.info(`InfluxDB v3: Using custom CA certificate from ${configNode.caCertPath}`);
-                    } catch (error) {
-                        throw new Error(
-                            `Failed to read CA certificate from '${configNode.caCertPath}': ${error.message}`,
-                            { cause: error }
-                        );
-                    }
+                    RED.log.info(`InfluxDB v3: Using custom CA certificate from ${configNode.caCertPath}`);
                 }
-
-                RED.log.info(`InfluxDB v3: Connecting to ${normalizedHost} with database ${configNode.database}`);
-
-                const clientOptions = {
-                    host: normalizedHost,
-                    token: configNode.token,
-                    database: configNode.database
-                };
-                if (Object.keys(transportOptions).length > 0) {
-                    clientOptions.transportOptions = transportOptions;
+                if (configNode.gzipThreshold === null) {
+                    RED.log.info('InfluxDB v3: Write compression is disabled for this connection');
                 }
 
+                RED.log.info(`InfluxDB v3: Connecting to ${clientOptions.host} with database ${configNode.database}`);
+
                 configNode.client = new InfluxDBClient(clientOptions);
 
                 RED.log.info('InfluxDB v3: Client created successfully');
@@ -126,7 +297,65 @@ module.exports = function(RED) {
             return configNode.client;
         };
 
+        // Telemetry is written with a client of its own, so it does not wait
+        // behind the flow's writes and is not counted in their metrics
+        let telemetryClient = null;
+        let telemetryTimer = null;
+        let telemetryFailing = false;
+
+        /**
+         * Write one telemetry point per deployed write node using this connection.
+         * A failure is warned about once, until a write succeeds again.
+         * @returns {Promise<void>}
+         */
+        async function writeTelemetry() {
+            const telemetry = configNode.telemetry;
+            const now = Date.now();
+            const lines = [];
+            for (const entry of writeNodeMetrics.values()) {
+                if (entry.node.influxdb !== configNode) {
+                    continue;
+                }
+                const tags = { instance: telemetry.instance, flow: entry.node.z, node: entry.node.id };
+                lines.push(telemetryLine(telemetry.measurement, tags, entry.metrics.snapshot(), entry.queue(), now));
+            }
+            if (lines.length === 0) {
+                return;
+            }
+            try {
+                if (!telemetryClient) {
+                    telemetryClient = new InfluxDBClient(buildClientOptions(configNode));
+                }
+                await telemetryClient.write(lines.join('\n'), telemetry.database || configNode.database, undefined, { precision: 'ms' });
+                if (telemetryFailing) {
+                    telemetryFailing = false;
+                    RED.log.info('InfluxDB v3: Telemetry is written again');
+                }
+            } catch (error) {
+                if (!telemetryFailing) {
+                    telemetryFailing = true;
+                    configNode.warn(`Telemetry not written: ${error.message}`);
+                }
+            }
+        }
+
+        if (configNode.telemetry) {
+            telemetryTimer = setInterval(writeTelemetry, configNode.telemetry.interval);
+        }
+
         configNode.on('close', function() {
+            if (telemetryTimer) {
+                clearInterval(telemetryTimer);
+                telemetryTimer = null;
+            }
+            if (telemetryClient) {
+                try {
+                    telemetryClient.close();
+                } catch (error) {
+                    RED.log.warn(`InfluxDB v3: Error closing telemetry client - ${error.message}`);
+                }
+                telemetryClient = null;
+            }
             if (configNode.client) {
                 try {
                     RED.log.info('InfluxDB v3: Closing client connection');
@@ -145,6 +374,309 @@ module.exports = function(RED) {
         }
     });
 
+    // What the editor sends for a password credential the user has not changed
+    const UNCHANGED_PASSWORD = '__PWRD__';
+
+    /**
+     * Resolve Node-RED style ${ENV_VAR} references in an unsaved editor value.
+     * Unknown variables are left as they are.
+     * @param {string} value
+     * @returns {string}
+     */
+    function substituteEnv(value) {
+        if (typeof value !== 'string') {
+            return value;
+        }
+        return value.replace(/\$\{([^}]+)\}/g, function(match, name) {
+            return process.env[name] !== undefined ? process.env[name] : match;
+        });
+    }
+
+    /**
+     * Check connection settings with a temporary client: the server must answer
+     * /ping (reachability, TLS, auth) and the token must be able to query the
+     * database (auth, database existence). The client is always closed again.
+     * @param {{host: string, token: string, database: string, tlsRejectUnauthorized: boolean, caCertPath: string}} settings
+     * @returns {Promise<object>} `{ ok: true, version }` or
+     *   `{ ok: false, stage, reason, error }` where stage is config, connect or database
+     */
+    async function testConnection(settings) {
+        let client;
+        try {
+            if (!settings.host) {
+                throw new Error('Host is not set');
+            }
+            if (!settings.token) {
+                throw new Error('Token is not set');
+            }
+            if (!settings.database) {
+                throw new Error('Database is not set');
+            }
+            client = new InfluxDBClient(buildClientOptions(settings));
+        } catch (error) {
+            return { ok: false, stage: 'config', reason: 'config', error: error.message };
+        }
+
+        let stage = 'connect';
+        try {
+            const version = await client.getServerVersion();
+            stage = 'database';
+            // Any query needs read access and fails for an unknown database
+            for await (const _row of client.query('SELECT 1', settings.database)) {
+                break;
+            }
+            return { ok: true, version: version || null };
+        } catch (error) {
+            const described = describeConnectionError(error);
+            return { ok: false, stage, reason: described.reason, error: described.message };
+        } finally {
+            try {
+                await client.close();
+            } catch {
+                // Nothing useful to report - the check itself has finished
+            }
+        }
+    }
+
+    /**
+     * Connection settings from an editor request body. The editor sends the
+     * values currently in its dialogs, which may not be deployed yet; a token
+     * left unchanged in the editor is taken from the stored credentials of the
+     * config node `body.id`.
+     *
+     * Routes open to users who may only read the configuration pass
+     * `readOnly`: their values are used as sent, without resolving
+     * `${ENV_VAR}` references, and the stored token is only sent to the host
+     * of the deployed config node, so neither can be directed elsewhere.
+     * @param {object} body
+     * @param {{readOnly: boolean}} [options]
+     * @returns {{host: string, token: string, database: string, tlsRejectUnauthorized: boolean, caCertPath: string}}
+     * @throws {Error} When a read-only request names another host than the deployed connection
+     */
+    function editorConnectionSettings(body, options) {
+        const readOnly = Boolean(options && options.readOnly);
+        const trimmed = (value) => (typeof value === 'string' ? value.trim() : '');
+        const text = (value) => (readOnly ? trimmed(value) : substituteEnv(trimmed(value)));
+        const settings = {
+            host: text(body.host),
+            token: readOnly ? body.token : substituteEnv(body.token),
+            database: text(body.database),
+            tlsRejectUnauthorized: body.tlsRejectUnauthorized !== false,
+            caCertPath: text(body.caCertPath)
+        };
+        if (settings.token && settings.token !== UNCHANGED_PASSWORD) {
+            return settings;
+        }
+        const credentials = body.id ? RED.nodes.getCredentials(body.id) : null;
+        settings.token = credentials ? substituteEnv(credentials.token) : undefined;
+        if (readOnly && settings.token) {
+            const deployed = RED.nodes.getNode(body.id);
+            const deployedHost = deployed && typeof deployed.host === 'string' ? deployed.host.trim() : '';
+            // The dialog shows the host as configured, which may be an unresolved ${ENV_VAR}
+            const resolvedHost = substituteEnv(deployedHost);
+            if (!deployedHost ||
+                (settings.host !== deployedHost && normalizeHost(settings.host) !== normalizeHost(resolvedHost))) {
+                throw new Error('The stored token is only used with the host of the deployed connection. ' +
+                    'Deploy the connection first, or enter the token again');
+            }
+            settings.host = resolvedHost;
+            if (deployed.database && settings.database === trimmed(deployed.database)) {
+                settings.database = substituteEnv(settings.database);
+            }
+        }
+        return settings;
+    }
+
+    /**
+     * Pick database names out of a listing, which is either rows from the
+     * `/api/v3/configure/database` endpoint (`iox::database`) or from an
+     * InfluxQL `SHOW DATABASES` (`name`).
+     * @param {Array<object>} rows
+     * @returns {string[]} Sorted, de-duplicated names
+     */
+    function databaseNames(rows) {
+        const names = new Set();
+        for (const row of Array.isArray(rows) ? rows : []) {
+            const name = row && (row['iox::database'] || row.name || row.database);
+            if (typeof name === 'string' && name !== '') {
+                names.add(name);
+            }
+        }
+        return Array.from(names).sort();
+    }
+
+    /**
+     * List the databases on a server: first through the InfluxDB 3 management
+     * API, then - for servers without it - with an InfluxQL `SHOW DATABASES`
+     * against the configured database.
+     * @param {object} settings - As returned by `editorConnectionSettings`
+     * @returns {Promise<object>} `{ ok: true, databases }`, or
+     *   `{ ok: false, supported, reason, error }` where `supported: false` means
+     *   the server offers no way to list databases
+     */
+    async function listDatabases(settings) {
+        let clientOptions;
+        try {
+            if (!settings.host) {
+                throw new Error('Host is not set');
+            }
+            if (!settings.token) {
+                throw new Error('Token is not set');
+            }
+            clientOptions = buildClientOptions(settings);
+        } catch (error) {
+            return { ok: false, supported: true, reason: 'config', error: error.message };
+        }
+
+        let listingError;
+        try {
+            const rows = await getJson(`${clientOptions.host}api/v3/configure/database?format=json`, {
+                token: settings.token,
+                transportOptions: clientOptions.transportOptions
+            });
+            return { ok: true, databases: databaseNames(rows) };
+        } catch (error) {
+            if (error.statusCode !== 404 && error.statusCode !== 405) {
+                const described = describeConnectionError(error);
+                return { ok: false, supported: true, reason: described.reason, error: described.message };
+            }
+            listingError = error;
+        }
+
+        if (settings.database) {
+            const client = new InfluxDBClient(clientOptions);
+            try {
+                const rows = [];
+                for await (const row of client.query('SHOW DATABASES', settings.database, { type: 'influxql' })) {
+                    rows.push(row);
+                }
+                return { ok: true, databases: databaseNames(rows) };
+            } catch (error) {
+                listingError = error;
+            } finally {
+                try {
+                    await client.close();
+                } catch {
+                    // The listing has already finished
+                }
+            }
+        }
+        return {
+            ok: false,
+            supported: false,
+            reason: 'server',
+            error: `This server does not support listing databases (${listingError.message})`
+        };
+    }
+
+    /**
+     * Read the measurements of a database with their tags and typed fields.
+     * @param {object} settings - As returned by `editorConnectionSettings`
+     * @returns {Promise<object>} `{ ok: true, database, measurements }` or
+     *   `{ ok: false, reason, error }`
+     */
+    async function readSchema(settings) {
+        let client;
+        try {
+            if (!settings.host) {
+                throw new Error('Host is not set');
+            }
+            if (!settings.token) {
+                throw new Error('Token is not set');
+            }
+            if (!settings.database) {
+                throw new Error('Database is not set');
+            }
+            client = new InfluxDBClient(buildClientOptions(settings));
+        } catch (error) {
+            return { ok: false, reason: 'config', error: error.message };
+        }
+
+        try {
+            const rows = [];
+            for await (const row of client.query(COLUMNS_QUERY, settings.database)) {
+                rows.push(row);
+            }
+            return { ok: true, database: settings.database, measurements: groupColumns(rows) };
+        } catch (error) {
+            const described = describeConnectionError(error);
+            return { ok: false, reason: described.reason, error: described.message };
+        } finally {
+            try {
+                await client.close();
+            } catch {
+                // The schema has already been read
+            }
+        }
+    }
+
+    RED.httpAdmin.post(
+        '/influxdb3/test-connection',
+        RED.auth.needsPermission('influxdb3-config.write'),
+        async function(req, res) {
+            try {
+                res.json(await testConnection(editorConnectionSettings(req.body || {})));
+            } catch (error) {
+                res.status(500).json({ ok: false, stage: 'config', reason: 'config', error: error.message });
+            }
+        }
+    );
+
+    RED.httpAdmin.post(
+        '/influxdb3/databases',
+        RED.auth.needsPermission('influxdb3-config.read'),
+        async function(req, res) {
+            try {
+                res.json(await listDatabases(editorConnectionSettings(req.body || {}, { readOnly: true })));
+            } catch (error) {
+                res.status(500).json({ ok: false, supported: true, reason: 'config', error: error.message });
+            }
+        }
+    );
+
+    RED.httpAdmin.post(
+        '/influxdb3/schema',
+        RED.auth.needsPermission('influxdb3-config.read'),
+        async function(req, res) {
+            try {
+                res.json(await readSchema(editorConnectionSettings(req.body || {}, { readOnly: true })));
+            } catch (error) {
+                res.status(500).json({ ok: false, reason: 'config', error: error.message });
+            }
+        }
+    );
+
+    // Metrics of the deployed write nodes, by node id
+    /** @type {Map<string, {node: object, metrics: object, queue: function(): {buffered: number, spooled: number}}>} */
+    const writeNodeMetrics = new Map();
+
+    RED.httpAdmin.get(
+        '/influxdb3/metrics',
+        RED.auth.needsPermission('influxdb3-write.read'),
+        function(req, res) {
+            res.json({
+                nodes: Array.from(writeNodeMetrics.values()).map((entry) => ({
+                    id: entry.node.id,
+                    name: entry.node.name,
+                    metrics: entry.metrics.snapshot()
+                }))
+            });
+        }
+    );
+
+    RED.httpAdmin.get(
+        '/influxdb3/metrics/:id',
+        RED.auth.needsPermission('influxdb3-write.read'),
+        function(req, res) {
+            const entry = writeNodeMetrics.get(req.params.id);
+            if (!entry) {
+                res.status(404).json({ error: `No deployed write node with id '${req.params.id}'` });
+                return;
+            }
+            res.json({ id: entry.node.id, name: entry.node.name, metrics: entry.metrics.snapshot() });
+        }
+    );
+
     /**
      * InfluxDB v3 Write Node
      * @param {object} config
@@ -159,9 +691,115 @@ module.exports = function(RED) {
         this.allowPartialWrites = config.allowPartialWrites === true;
         /** @type {boolean} */
         this.noSync = config.noSync === true;
+        /** @type {string} Declared timestamp precision (s, ms, us, ns); '' keeps the defaults */
+        this.precision = PRECISIONS.includes(config.precision) ? config.precision : '';
+        /** @type {Map<string, {tags: Set<string>, fields: Map<string, string>}>} Declared tags and field types per measurement */
+        this.schema = new Map();
+        try {
+            this.schema = buildSchema(config.schema);
+        } catch (error) {
+            this.error(`Invalid schema: ${error.message}. The schema is ignored.`);
+        }
+        /** @type {boolean} Check line protocol strings with the full parser before writing */
+        this.strictValidation = config.strictValidation === true;
+        /** @type {Array<{key: string, type: string, source: string, sourceType: string}>} Builds the point from message properties */
+        this.mappings = [];
+        try {
+            this.mappings = parseMappings(config.mappings);
+        } catch (error) {
+            this.error(`Invalid mapping: ${error.message}. The mapping table is ignored.`);
+        }
+        /** @type {Object<string, string>} Tags added to every point; the node's own override the connection's */
+        this.defaultTags = Object.assign(
+            {},
+            this.influxdb && this.influxdb.defaultTags,
+            loadDefaultTags(this, config.defaultTags)
+        );
+        /** @type {{separator: string, maxDepth: number, arrays: boolean}|null} Expand nested objects into fields */
+        this.flatten = config.flattenEnabled === true
+            ? {
+                separator: typeof config.flattenSeparator === 'string' && config.flattenSeparator !== ''
+                    ? config.flattenSeparator
+                    : '_',
+                maxDepth: positiveInt(config.flattenMaxDepth, 3),
+                arrays: config.flattenArrays === true
+            }
+            : null;
+        /** @type {Set<string>} Flattened keys written as tags instead of fields */
+        this.flattenTags = new Set(this.flatten && typeof config.flattenTags === 'string'
+            ? config.flattenTags.split(',').map((key) => key.trim()).filter(Boolean)
+            : []);
+        /** @type {boolean} Write the valid items of an array payload and report the invalid ones */
+        this.skipInvalidItems = config.skipInvalidItems === true;
+        const deadbandValue = parseFloat(config.deadbandValue);
+        const maxSilence = parseInt(config.deadbandMaxSilence, 10);
+        /** @type {{mode: string, value: number, maxSilence: number}|null} Write points only when a field changes */
+        this.deadband = config.deadbandEnabled === true
+            ? {
+                mode: config.deadbandMode === 'percent' ? 'percent' : 'absolute',
+                value: Number.isFinite(deadbandValue) && deadbandValue >= 0 ? deadbandValue : 0,
+                // 0 turns the heartbeat off
+                maxSilence: Number.isInteger(maxSilence) && maxSilence >= 0 ? maxSilence : 300000
+            }
+            : null;
+        /** @type {boolean} Send failed messages to a second output instead of failing them */
+        this.errorOutput = config.errorOutput === true;
+        /** @type {boolean} Show the write counters in the status and attach them as msg.influxdb */
+        this.metricsEnabled = config.metricsEnabled === true;
+        /** @type {boolean} Coerce values to the column types already on the server */
+        this.learnSchemaEnabled = config.learnSchemaEnabled === true;
+        /** @type {number} How long learned column types are cached, in ms */
+        this.learnSchemaInterval = positiveInt(config.learnSchemaInterval, 300000);
+        /** @type {boolean} */
+        this.batchEnabled = config.batchEnabled === true;
+        /** @type {number} */
+        this.batchMaxLines = positiveInt(config.batchMaxLines, 5000);
+        /** @type {number} */
+        this.batchMaxBytes = positiveInt(config.batchMaxBytes, 1024 * 1024);
+        /** @type {number} */
+        this.batchFlushInterval = positiveInt(config.batchFlushInterval, 1000);
+        /** @type {boolean} */
+        this.retryEnabled = config.retryEnabled === true;
+        /** @type {number} Total attempts, including the first */
+        this.retryMaxAttempts = positiveInt(config.retryMaxAttempts, 5);
+        const multiplier = parseFloat(config.retryMultiplier);
+        const jitter = parseInt(config.retryJitter, 10);
+        /** @type {{initialDelay: number, multiplier: number, jitter: number, maxDelay: number}} */
+        this.retry = {
+            initialDelay: positiveInt(config.retryInitialDelay, 1000),
+            multiplier: isFinite(multiplier) && multiplier >= 1 ? multiplier : 2,
+            jitter: Number.isInteger(jitter) && jitter >= 0 ? jitter : 500,
+            maxDelay: positiveInt(config.retryMaxDelay, 60000)
+        };
+        /** @type {boolean} */
+        this.spoolEnabled = config.spoolEnabled === true;
+        /** @type {string} */
+        this.spoolDir = typeof config.spoolDir === 'string' ? config.spoolDir.trim() : '';
+        /** @type {number} */
+        this.spoolMaxBytes = positiveInt(config.spoolMaxMB, 100) * 1024 * 1024;
+        /** @type {string} 'drop-oldest' or 'drop-newest' */
+        this.spoolOverflow = config.spoolOverflow === 'drop-newest' ? 'drop-newest' : 'drop-oldest';
+        /** @type {number} */
+        this.spoolReplayInterval = positiveInt(config.spoolReplayInterval, 10000);
 
         const node = this;
-        let statusTimeout = null;
+        const metrics = createWriteMetrics();
+        const deadband = node.deadband ? createDeadbandFilter(node.deadband) : null;
+        const status = createStatusSetter(node, node.metricsEnabled
+            ? () => ({ fill: 'grey', shape: 'ring', text: metrics.summary() })
+            : undefined);
+
+        // Pending batches keyed by write target (batching mode only)
+        /** @type {Map<string, {target: object, entries: Array<object>, lineCount: number, bytes: number, timer: *}>} */
+        const batches = new Map();
+
+        // Column types learned from the server, keyed by database
+        /** @type {Map<string, {schema: Map<string, object>, expires: number, loading: (Promise|null)}>} */
+        const learnedSchemas = new Map();
+
+        // Retry delays in progress; resolved early when the node closes
+        const retryWaits = new Set();
+        let closing = false;
 
         if (!node.influxdb) {
             node.error('InfluxDB v3 config not set');
@@ -169,6 +807,33 @@ module.exports = function(RED) {
             return;
         }
 
+        // Store-and-forward spool for writes that failed while InfluxDB was unreachable
+        let spool = null;
+        let replayTimer = null;
+        let replaying = false;
+        if (node.spoolEnabled) {
+            // Per node, so write nodes sharing a custom directory never mix their backlogs
+            const spoolDir = path.join(node.spoolDir || path.join(RED.settings.userDir, 'influxdb3-spool'), node.id);
+            try {
+                spool = createSpool(spoolDir, {
+                    maxBytes: node.spoolMaxBytes,
+                    overflow: node.spoolOverflow,
+                    onDiscard: (reason) => node.warn(`Discarding unreadable spool entry: ${reason}`)
+                });
+            } catch (error) {
+                node.error(`Failed to open spool directory '${spoolDir}': ${error.message}`);
+            }
+        }
+
+        // Registered only now, since the close handler that removes it is
+        // not set up without a connection
+        writeNodeMetrics.set(node.id, {
+            node,
+            metrics,
+            // Lines waiting to be written, for the connection's telemetry
+            queue: () => ({ buffered: pendingLineCount(), spooled: spool ? spool.size().lines : 0 })
+        });
+
         /**
          * Safely serialize a value for diagnostic logging.
          * Handles circular references and large objects.
@@ -179,7 +844,8 @@ module.exports = function(RED) {
         function safeStringify(value, maxLength) {
             maxLength = maxLength || 200;
             try {
-                const str = JSON.stringify(value);
+                // BigInt has no JSON form; show it with its literal suffix
+                const str = JSON.stringify(value, (_key, v) => (typeof v === 'bigint' ? `${v}n` : v));
                 if (str && str.length > maxLength) {
                     return str.substring(0, maxLength) + '...(truncated)';
                 }
@@ -189,6 +855,35 @@ module.exports = function(RED) {
             }
         }
 
+        /**
+         * Add an integer or unsigned field without losing precision. Values
+         * within Number.MAX_SAFE_INTEGER use the Point setters; larger ones are
+         * carried as a placeholder that buildLineProtocol restores.
+         * @param {Point} point
+         * @param {string} key - The field name
+         * @param {bigint|number|string} value - A BigInt, integral number or digit string
+         * @param {boolean} unsigned
+         * @param {string} context - Measurement context for warnings
+         * @returns {boolean} true if the field was added
+         */
+        function addExactIntegerField(point, key, value, unsigned, context) {
+            const parsed = parseExactInteger(value, unsigned);
+            if (parsed.error) {
+                node.warn(`Skipping field '${key}': ${parsed.error}${context}.`);
+                return false;
+            }
+            const safe = parsed.value >= BigInt(Number.MIN_SAFE_INTEGER) &&
+                parsed.value <= BigInt(Number.MAX_SAFE_INTEGER);
+            if (!safe) {
+                point.setStringField(key, exactIntegerPlaceholder(parsed.value, unsigned));
+            } else if (unsigned) {
+                point.setUintegerField(key, Number(parsed.value));
+            } else {
+                point.setIntegerField(key, Number(parsed.value));
+            }
+            return true;
+        }
+
         /**
          * Process a field value and add it to a Point.
          * Returns true if the field was added, false if it was skipped.
@@ -196,18 +891,25 @@ module.exports = function(RED) {
          * Uses the type-specific Point methods:
          * - point.setFloatField(name, value) for numbers (default)
          * - point.setIntegerField(name, value) for integers
+         * - point.setUintegerField(name, value) for unsigned integers
          * - point.setStringField(name, value) for strings
          * - point.setBooleanField(name, value) for booleans
          *
+         * BigInts, `"42i"`/`"42u"` strings and digit strings of listed integer
+         * fields are written exactly, across the full 64-bit range.
+         *
          * @param {Point} point - The InfluxDB Point to add the field to
          * @param {string} key - The field name
          * @param {*} value - The field value
          * @param {Set<string>} integerFields - Set of field names to treat as integers
+         * @param {Set<string>} uintegerFields - Set of field names to treat as unsigned integers
          * @param {string} measurement - Measurement name for diagnostic context
          * @returns {boolean} true if the field was added successfully
          */
-        function addFieldToPoint(point, key, value, integerFields, measurement) {
+        function addFieldToPoint(point, key, value, integerFields, uintegerFields, measurement) {
             const context = measurement ? ` (measurement: '${measurement}')` : '';
+            const unsigned = Boolean(uintegerFields && uintegerFields.has(key));
+            const integer = unsigned || Boolean(integerFields && integerFields.has(key));
 
             if (value === null || value === undefined) {
                 node.warn(`Skipping field '${key}': value is ${value}${context}`);
@@ -226,18 +928,19 @@ module.exports = function(RED) {
                 return false;
             }
 
+            if (typeof value === 'bigint') {
+                return addExactIntegerField(point, key, value, unsigned, context);
+            }
+
             if (typeof value === 'string') {
-                // Check for integer suffix e.g. "42i"
-                if (/^-?\d+i$/.test(value)) {
-                    const parsed = parseInt(value.slice(0, -1), 10);
-                    if (!Number.isSafeInteger(parsed)) {
-                        node.warn(
-                            `Field '${key}': integer value '${value}' exceeds JavaScript's safe integer ` +
-                            `range and loses precision (stored as ${parsed})${context}.`
-                        );
-                    }
-                    point.setIntegerField(key, parsed);
-                    return true;
+                // Check for integer suffix e.g. "42i", or unsigned "42u"
+                const suffixed = /^(-?\d+)([iu])$/.exec(value);
+                if (suffixed) {
+                    return addExactIntegerField(point, key, suffixed[1], suffixed[2] === 'u', context);
+                }
+                // Large counters often arrive as digit strings to keep them exact
+                if (integer && /^-?\d+$/.test(value.trim())) {
+                    return addExactIntegerField(point, key, value.trim(), unsigned, context);
                 }
                 point.setStringField(key, value);
                 return true;
@@ -256,13 +959,16 @@ module.exports = function(RED) {
                     );
                     return false;
                 }
-                if (integerFields && integerFields.has(key)) {
+                if (integer) {
                     if (!Number.isInteger(value)) {
                         node.warn(
-                            `Field '${key}' is marked as integer but value is ${value}${context}. ` +
-                            `Value will be truncated to ${Math.trunc(value)}.`
+                            `Field '${key}' is marked as ${unsigned ? 'unsigned ' : ''}integer but value is ` +
+                            `${value}${context}. Value will be truncated to ${Math.trunc(value)}.`
                         );
                     }
+                    if (unsigned) {
+                        return addExactIntegerField(point, key, Math.trunc(value), true, context);
+                    }
                     point.setIntegerField(key, Math.trunc(value));
                 } else {
                     point.setFloatField(key, value);
@@ -278,32 +984,131 @@ module.exports = function(RED) {
         }
 
         /**
-         * Set node status with optional auto-clear
-         * @param {object} status
-         * @param {number} [clearAfterMs=0]
+         * Add a tag to a Point. Null values are left out.
+         * @param {Point} point
+         * @param {string} key - The tag name
+         * @param {*} value - A string, number or boolean
+         * @param {string} context - Measurement context for warnings
          */
-        function setStatus(status, clearAfterMs) {
-            if (statusTimeout) {
-                clearTimeout(statusTimeout);
-                statusTimeout = null;
+        function addTagToPoint(point, key, value, context) {
+            if (value === null || value === undefined) {
+                return;
+            }
+            // Guard against objects/arrays, which would otherwise be coerced to
+            // useless strings like "[object Object]". Mirrors addFieldToPoint.
+            if (typeof value === 'object') {
+                const typeName = Array.isArray(value)
+                    ? 'Array'
+                    : (value.constructor ? value.constructor.name : 'object');
+                node.warn(
+                    `Skipping tag '${key}': unsupported type 'object' (${typeName})${context}. ` +
+                    `Actual value: ${safeStringify(value)}. ` +
+                    `Tag values must be a string, number, or boolean.`
+                );
+                return;
+            }
+            point.setTag(key, String(value));
+        }
+
+        /**
+         * Add a field whose type is declared in the node's schema, coercing the
+         * value to that type.
+         * @param {Point} point
+         * @param {string} key - The field name
+         * @param {*} value - The field value
+         * @param {string} type - float, integer, uinteger, string or boolean
+         * @param {string} measurement
+         * @returns {{added: boolean}|{error: string}} An error when the value
+         *   cannot be coerced to the declared type
+         */
+        function addSchemaField(point, key, value, type, measurement) {
+            const context = ` (measurement: '${measurement}')`;
+            if (value === null || value === undefined) {
+                node.warn(`Skipping field '${key}': value is ${value}${context}`);
+                return { added: false };
+            }
+            let coerced = coerceFieldValue(value, type);
+            if (!coerced.error && (type === 'integer' || type === 'uinteger')) {
+                coerced = parseExactInteger(coerced.value, type === 'uinteger');
             }
+            if (coerced.error) {
+                return {
+                    error: `Field '${key}'${context} does not match the schema type ${type}: ${coerced.error}`
+                };
+            }
+
+            switch (type) {
+            case 'float':
+                point.setFloatField(key, coerced.value);
+                break;
+            case 'integer':
+            case 'uinteger':
+                addExactIntegerField(point, key, coerced.value, type === 'uinteger', context);
+                break;
+            case 'string':
+                point.setStringField(key, coerced.value);
+                break;
+            default:
+                point.setBooleanField(key, coerced.value);
+            }
+            return { added: true };
+        }
 
-            node.status(status);
+        /**
+         * Set a point's timestamp as an integer in a declared precision.
+         * Numbers, BigInts and digit strings are taken to be in that precision
+         * already and are written digit for digit, with a warning when a
+         * fraction of the unit has to be dropped; Dates and date strings are
+         * converted to it.
+         * @param {Point} point
+         * @param {*} ts
+         * @param {string} precision - s, ms, us or ns
+         */
+        function setPreciseTimestamp(point, ts, precision) {
+            let timestamp = null;
+            if (ts instanceof Date) {
+                timestamp = dateToTimestamp(ts, precision);
+            } else if (typeof ts === 'number' || typeof ts === 'bigint' ||
+                (typeof ts === 'string' && /^\s*-?\d+(\.\d+)?\s*$/.test(ts))) {
+                timestamp = convertTimestamp(ts, precision, precision);
+                if (timestamp !== null && hasFraction(ts)) {
+                    node.warn(
+                        `Numeric timestamp ${ts} has a fraction that '${precision}' precision cannot hold; ` +
+                        `it was written as ${timestamp}. Declare a finer precision to keep it.`
+                    );
+                }
+                if (timestamp !== null && timestamp !== '0') {
+                    const ms = Number(convertTimestamp(ts, precision, 'ms'));
+                    if (ms < MS_TIMESTAMP_PLAUSIBLE_MIN || ms > Date.now() + ONE_DAY_MS) {
+                        const date = new Date(ms);
+                        node.warn(
+                            `Numeric timestamp ${ts} in '${precision}' precision resolves to ` +
+                            `${isNaN(date.getTime()) ? 'a date outside the representable range' : date.toISOString()}. ` +
+                            `Check the node's timestamp precision or msg.precision.`
+                        );
+                    }
+                }
+            } else if (typeof ts === 'string' && ts.trim() !== '') {
+                timestamp = dateStringToTimestamp(ts, precision);
+            }
 
-            if (clearAfterMs && clearAfterMs > 0) {
-                statusTimeout = setTimeout(function() {
-                    node.status({});
-                    statusTimeout = null;
-                }, clearAfterMs);
+            if (timestamp === null) {
+                node.warn(`Invalid timestamp: ${typeof ts === 'bigint' ? ts : safeStringify(ts)} (type: ${typeof ts})`);
+                return;
             }
+            point.setTimestamp(timestamp);
         }
 
         /**
          * Build line protocol from an object payload.
          * @param {object} msg - The incoming Node-RED message
+         * @param {string} [precision] - Declared timestamp precision. Without one,
+         *   numeric timestamps are milliseconds and the point is written in nanoseconds.
+         * @param {Map<string, object>} [learned] - Column types learned from the
+         *   target database, applied to keys the node's schema does not declare
          * @returns {{lineProtocol: string}|{error: string}} result or error
          */
-        function buildLineProtocol(msg) {
+        function buildLineProtocol(msg, precision, learned) {
             // Trim each source before the fallback so a blank/whitespace-only
             // msg.measurement falls back to the node default (instead of being used
             // verbatim) and never produces a measurement made of spaces.
@@ -320,38 +1125,21 @@ module.exports = function(RED) {
             if (msg.payload.tags && typeof msg.payload.tags === 'object' && !Array.isArray(msg.payload.tags)) {
                 const tagContext = measurement ? ` (measurement: '${measurement}')` : '';
                 for (const [key, value] of Object.entries(msg.payload.tags)) {
-                    if (value === null || value === undefined) {
-                        continue;
-                    }
-                    // Guard against objects/arrays, which would otherwise be coerced to
-                    // useless strings like "[object Object]". Mirrors addFieldToPoint.
-                    if (typeof value === 'object') {
-                        const typeName = Array.isArray(value)
-                            ? 'Array'
-                            : (value.constructor ? value.constructor.name : 'object');
-                        node.warn(
-                            `Skipping tag '${key}': unsupported type 'object' (${typeName})${tagContext}. ` +
-                            `Actual value: ${safeStringify(value)}. ` +
-                            `Tag values must be a string, number, or boolean.`
-                        );
-                        continue;
-                    }
-                    point.setTag(key, String(value));
+                    addTagToPoint(point, key, value, tagContext);
                 }
             }
 
             // Get list of fields that should be treated as integers
             const integerFields = new Set(msg.payload.integers || []);
-            let fieldCount = 0;
+            const uintegerFields = new Set(msg.payload.uintegers || []);
+            // Strings to write verbatim, even when they look like "42i"
+            const stringFields = new Set(msg.payload.strings || []);
+            let fieldEntries;
 
-            // Add fields
+            // Collect fields
             if (msg.payload.fields && typeof msg.payload.fields === 'object' && !Array.isArray(msg.payload.fields)) {
                 // Explicit fields object
-                for (const [key, value] of Object.entries(msg.payload.fields)) {
-                    if (addFieldToPoint(point, key, value, integerFields, measurement)) {
-                        fieldCount++;
-                    }
-                }
+                fieldEntries = Object.entries(msg.payload.fields);
             } else {
                 if (msg.payload.fields !== null && msg.payload.fields !== undefined) {
                     const typeName = Array.isArray(msg.payload.fields)
@@ -365,13 +1153,60 @@ module.exports = function(RED) {
                 // Simplified format: treat all non-reserved properties as fields.
                 // 'measurement' is reserved too so that array items like
                 // { measurement: 'temp', value: 1 } don't write it as a string field.
-                const reservedKeys = new Set(['measurement', 'tags', 'timestamp', 'integers', 'fields']);
-                for (const [key, value] of Object.entries(msg.payload)) {
-                    if (!reservedKeys.has(key)) {
-                        if (addFieldToPoint(point, key, value, integerFields, measurement)) {
-                            fieldCount++;
-                        }
+                const reservedKeys = new Set([
+                    'measurement', 'tags', 'timestamp', 'integers', 'uintegers', 'strings', 'fields'
+                ]);
+                fieldEntries = Object.entries(msg.payload).filter(([key]) => !reservedKeys.has(key));
+            }
+
+            if (node.flatten) {
+                fieldEntries = flattenEntries(fieldEntries, node.flatten);
+            }
+
+            // Add fields; keys declared in the schema are written as declared,
+            // then keys the server already knows keep their existing column type
+            const declared = node.schema.get(measurement);
+            const existing = learned && learned.get(measurement);
+            let fieldCount = 0;
+            for (const [key, value] of fieldEntries) {
+                if (node.flattenTags.has(key) || (declared && declared.tags.has(key))) {
+                    addTagToPoint(point, key, value, ` (measurement: '${measurement}')`);
+                } else if (declared && declared.fields.has(key)) {
+                    const result = addSchemaField(point, key, value, declared.fields.get(key), measurement);
+                    if (result.error) {
+                        return { error: result.error };
+                    }
+                    if (result.added) {
+                        fieldCount++;
+                    }
+                } else if (existing && existing.tags.has(key)) {
+                    addTagToPoint(point, key, value, ` (measurement: '${measurement}')`);
+                } else if (existing && existing.fields.has(key)) {
+                    const result = addSchemaField(point, key, value, existing.fields.get(key), measurement);
+                    if (result.error) {
+                        node.warn(
+                            `${result.error} (type of the existing column). ` +
+                            `The field was skipped to avoid a schema conflict.`
+                        );
+                    } else if (result.added) {
+                        fieldCount++;
                     }
+                } else if (stringFields.has(key) && typeof value === 'string') {
+                    point.setStringField(key, value);
+                    fieldCount++;
+                } else if (addFieldToPoint(point, key, value, integerFields, uintegerFields, measurement)) {
+                    fieldCount++;
+                }
+            }
+
+            // Default tags, unless the message sets the key itself
+            const messageKeys = new Set(fieldEntries.map(([key]) => key));
+            if (msg.payload.tags && typeof msg.payload.tags === 'object' && !Array.isArray(msg.payload.tags)) {
+                Object.keys(msg.payload.tags).forEach((key) => messageKeys.add(key));
+            }
+            for (const [key, value] of Object.entries(node.defaultTags)) {
+                if (!messageKeys.has(key)) {
+                    point.setTag(key, value);
                 }
             }
 
@@ -387,7 +1222,9 @@ module.exports = function(RED) {
                 ? msg.payload.timestamp
                 : msg.timestamp;
             if (ts !== null && ts !== undefined) {
-                if (ts instanceof Date && !isNaN(ts.getTime())) {
+                if (precision) {
+                    setPreciseTimestamp(point, ts, precision);
+                } else if (ts instanceof Date && !isNaN(ts.getTime())) {
                     point.setTimestamp(ts);
                 } else if (typeof ts === 'number' && isFinite(ts) && ts >= 0) {
                     const date = new Date(ts);
@@ -423,7 +1260,9 @@ module.exports = function(RED) {
                 }
             }
 
-            const lp = point.toLineProtocol();
+            // A point without a timestamp is stamped with the current time, in
+            // the precision the write declares
+            const lp = restoreExactIntegers(point.toLineProtocol(precision));
 
             if (!lp || lp.trim() === '') {
                 return { error: 'Generated line protocol is empty' };
@@ -432,167 +1271,1141 @@ module.exports = function(RED) {
             return { lineProtocol: lp };
         }
 
-        node.on('input', async function(msg, send, done) {
-            try {
-                const client = node.influxdb.getClient();
+        /**
+         * Build the payload from the mapping table. Sources are typed inputs
+         * (msg, flow, global, env, JSONata, literals); evaluation is
+         * asynchronous because JSONata and context stores can be.
+         * @param {object} msg
+         * @returns {Promise<object>} A copy of msg whose payload is the mapped point
+         * @throws {Error} When a source cannot be evaluated or a value does not fit its type
+         */
+        async function mapMessage(msg) {
+            const values = [];
+            for (const mapping of node.mappings) {
+                const value = await new Promise(function(resolve, reject) {
+                    RED.util.evaluateNodeProperty(mapping.source, mapping.sourceType, node, msg, function(error, result) {
+                        if (error) {
+                            reject(new Error(`Mapping for '${mapping.key || 'timestamp'}' failed: ${error.message}`));
+                        } else {
+                            resolve(result);
+                        }
+                    });
+                });
+                values.push({ key: mapping.key, type: mapping.type, value });
+            }
+            const result = buildMappedPayload(values);
+            if (result.error) {
+                throw new Error(result.error);
+            }
+            return { ...msg, payload: result.payload };
+        }
 
-                // Determine the database to use. Trim each source before the fallback so a
-                // blank/whitespace-only msg.database falls back instead of being used verbatim.
-                const trimDb = (d) => (typeof d === 'string' ? d.trim() : d);
-                const targetDatabase = trimDb(msg.database) || trimDb(node.database) || trimDb(node.influxdb.database);
+        /**
+         * Check a line protocol string: with the full parser in strict mode,
+         * otherwise for its overall shape only.
+         * @param {string} lineProtocol
+         * @returns {string|null} An error message, or null when it is valid
+         */
+        function checkLineProtocol(lineProtocol) {
+            return node.strictValidation
+                ? validateLineProtocolStrict(lineProtocol)
+                : validateLineProtocol(lineProtocol);
+        }
 
-                if (!targetDatabase) {
-                    throw new Error('Database not specified');
+        /**
+         * Convert one item of an array payload to line protocol.
+         * @param {object} msg - The incoming Node-RED message
+         * @param {*} item
+         * @param {number} i - Index of the item, for error messages
+         * @param {string} [precision]
+         * @param {Map<string, object>} [learned]
+         * @returns {string}
+         * @throws {Error} When the item cannot be converted
+         */
+        function arrayItemToLineProtocol(msg, item, i, precision, learned) {
+            if (typeof item === 'string') {
+                // String line protocol
+                const lp = item.trim();
+                if (!lp) {
+                    throw new Error(`Array item ${i} is an empty string`);
+                }
+                const validationError = checkLineProtocol(lp);
+                if (validationError) {
+                    throw new Error(`Array item ${i}: ${validationError}`);
+                }
+                return addTagsToLineProtocol(lp, node.defaultTags);
+            }
+            if (item && typeof item === 'object' && !Array.isArray(item)) {
+                // Object payload - build line protocol
+                const tempMsg = {
+                    ...msg,
+                    payload: item,
+                    measurement: item.measurement || msg.measurement || node.measurement
+                };
+                const result = buildLineProtocol(tempMsg, precision, learned);
+                if (result.error) {
+                    throw new Error(`Array item ${i}: ${result.error}`);
                 }
+                return result.lineProtocol;
+            }
+            throw new Error(
+                `Array item ${i} has invalid format. Expected string (line protocol) or object with fields. ` +
+                `Received: ${typeof item}`
+            );
+        }
 
-                let lineProtocol;
+        /**
+         * Convert msg.payload to line protocol.
+         * @param {object} msg - The incoming Node-RED message
+         * @param {string} [precision] - Declared timestamp precision
+         * @param {Map<string, object>} [learned] - Column types learned from the target database
+         * @returns {{lineProtocol: string, items: ({skipped: Array<object>, lineItems: number[]}|undefined)}}
+         *   Line protocol (one or more newline-separated lines). For array payloads,
+         *   `items` lists the items skipped as invalid and the item index of each line.
+         * @throws {Error} When the payload cannot be converted
+         */
+        function payloadToLineProtocol(msg, precision, learned) {
+            let lineProtocol;
+            let items;
 
-                // Check if msg.payload is already in line protocol format
-                if (typeof msg.payload === 'string') {
-                    lineProtocol = msg.payload.trim();
-                    if (!lineProtocol) {
-                        throw new Error('Line protocol string is empty');
+            // Check if msg.payload is already in line protocol format
+            if (typeof msg.payload === 'string') {
+                lineProtocol = msg.payload.trim();
+                if (!lineProtocol) {
+                    throw new Error('Line protocol string is empty');
+                }
+
+                // Validate line protocol format
+                const validationError = checkLineProtocol(lineProtocol);
+                if (validationError) {
+                    throw new Error(validationError);
+                }
+                lineProtocol = addTagsToLineProtocol(lineProtocol, node.defaultTags);
+            } else if (Array.isArray(msg.payload)) {
+                // Handle array of measurements
+                if (msg.payload.length === 0) {
+                    throw new Error('Payload array is empty');
+                }
+
+                const lineProtocols = [];
+                items = { skipped: [], lineItems: [] };
+                for (let i = 0; i < msg.payload.length; i++) {
+                    let lp;
+                    try {
+                        lp = arrayItemToLineProtocol(msg, msg.payload[i], i, precision, learned);
+                    } catch (error) {
+                        if (!node.skipInvalidItems) {
+                            throw error;
+                        }
+                        items.skipped.push({ index: i, reason: 'invalid', error: error.message });
+                        continue;
                     }
+                    lineProtocols.push(lp);
+                    lp.split('\n').forEach(() => items.lineItems.push(i));
+                }
+                if (lineProtocols.length === 0) {
+                    throw new Error(
+                        `All ${msg.payload.length} array item(s) are invalid. First: ${items.skipped[0].error}`
+                    );
+                }
+
+                lineProtocol = lineProtocols.join('\n');
+            } else if (msg.payload && typeof msg.payload === 'object') {
+                const result = buildLineProtocol(msg, precision, learned);
+                if (result.error) {
+                    throw new Error(result.error);
+                }
+                lineProtocol = result.lineProtocol;
+            } else {
+                const actualType = typeof msg.payload;
+                const detail = msg.payload === null
+                    ? 'null'
+                    : msg.payload === undefined
+                        ? 'undefined'
+                        : `${actualType}${msg.payload && msg.payload.constructor ? ` [${msg.payload.constructor.name}]` : ''}: ${safeStringify(msg.payload)}`;
+                throw new Error(
+                    `Invalid payload format. Expected string (line protocol), object with fields, or array of objects/strings. ` +
+                    `Received: ${detail}`
+                );
+            }
+
+            return { lineProtocol, items };
+        }
+
+        /**
+         * Write options for client.write(), or null to use the client defaults.
+         * @param {string} [precision] - Timestamp precision of the line protocol
+         * @returns {object|null}
+         */
+        function getWriteOptions(precision) {
+            // Both acceptPartial and noSync exist only on the V3 API endpoint,
+            // so opting into either selects it. With neither enabled, no write
+            // options are passed and the client default (V2 endpoint) is used,
+            // preserving previous behaviour.
+            let writeOptions = null;
+            if (node.allowPartialWrites || node.noSync) {
+                writeOptions = { useV2Api: false };
+                if (node.noSync) {
+                    writeOptions.noSync = true;
+                }
+                if (!node.allowPartialWrites) {
+                    // noSync without partial writes: keep the all-or-nothing
+                    // semantics the V2 endpoint would have provided.
+                    writeOptions.acceptPartial = false;
+                }
+            }
+            if (precision) {
+                writeOptions = { ...writeOptions, precision };
+            }
+            return writeOptions;
+        }
 
-                    // Validate line protocol format
-                    const validationError = validateLineProtocol(lineProtocol);
-                    if (validationError) {
-                        throw new Error(validationError);
+        /**
+         * Column types of a database, read from information_schema.columns and
+         * cached for learnSchemaInterval. If they cannot be read, the previous
+         * types (if any) stay in use until the next attempt.
+         * @param {string} database
+         * @returns {Promise<Map<string, {tags: Set<string>, fields: Map<string, string>}>>}
+         */
+        function learnedSchema(database) {
+            const cached = learnedSchemas.get(database);
+            if (cached && cached.loading) {
+                return cached.loading;
+            }
+            if (cached && Date.now() < cached.expires) {
+                return Promise.resolve(cached.schema);
+            }
+
+            const entry = { schema: cached ? cached.schema : new Map(), expires: 0, loading: null };
+            entry.loading = (async function() {
+                try {
+                    const rows = [];
+                    for await (const row of node.influxdb.getClient().query(COLUMNS_QUERY, database)) {
+                        rows.push(row);
                     }
-                } else if (Array.isArray(msg.payload)) {
-                    // Handle array of measurements
-                    if (msg.payload.length === 0) {
-                        throw new Error('Payload array is empty');
+                    entry.schema = buildSchema(schemaEntries(groupColumns(rows)));
+                } catch (error) {
+                    node.warn(
+                        `Could not read the column types of database '${database}': ${error.message}. ` +
+                        `Values are written without checking them.`
+                    );
+                }
+                entry.expires = Date.now() + node.learnSchemaInterval;
+                entry.loading = null;
+                return entry.schema;
+            })();
+            learnedSchemas.set(database, entry);
+            return entry.loading;
+        }
+
+        /**
+         * Forget the learned column types of a database after a write hit a
+         * type conflict, so the next message reads them again.
+         * @param {Error} error
+         * @param {string} database
+         */
+        function checkSchemaConflict(error, database) {
+            const cached = learnedSchemas.get(database);
+            if (cached && !cached.loading && isSchemaConflict(error)) {
+                cached.expires = 0;
+            }
+        }
+
+        /**
+         * Write line protocol to InfluxDB.
+         * @param {string} lineProtocol
+         * @param {{database: string, precision: (string|undefined)}} target - Where
+         *   to write, and the timestamp precision of the line protocol
+         * @returns {Promise<void>}
+         */
+        async function writeLineProtocol(lineProtocol, target) {
+            const client = node.influxdb.getClient();
+            const writeOptions = getWriteOptions(target.precision);
+            if (writeOptions) {
+                await client.write(lineProtocol, target.database, undefined, writeOptions);
+            } else {
+                await client.write(lineProtocol, target.database);
+            }
+        }
+
+        /**
+         * Wait before retrying a write. Resolves early if the node is closed.
+         * @param {number} ms
+         * @returns {Promise<void>}
+         */
+        function waitForRetry(ms) {
+            return new Promise(function(resolve) {
+                const wait = {
+                    resolve: resolve,
+                    timer: setTimeout(function() {
+                        retryWaits.delete(wait);
+                        resolve();
+                    }, ms)
+                };
+                retryWaits.add(wait);
+            });
+        }
+
+        /**
+         * Write line protocol, retrying transient failures (see lib/retry) with
+         * exponential backoff when retries are enabled. With retries enabled,
+         * `msg.writeAttempts` is set on every message in the write - also when
+         * the write ultimately fails, so a catch node can see it.
+         * @param {string} lineProtocol
+         * @param {{database: string, precision: (string|undefined)}} target
+         * @param {Array<object>} msgs - The messages whose data is in this write
+         * @returns {Promise<number>} The number of attempts made
+         */
+        async function writeWithRetry(lineProtocol, target, msgs) {
+            const maxAttempts = node.retryEnabled ? node.retryMaxAttempts : 1;
+            for (let attempt = 1; ; attempt++) {
+                if (node.retryEnabled) {
+                    msgs.forEach((m) => { m.writeAttempts = attempt; });
+                }
+                try {
+                    await writeLineProtocol(lineProtocol, target);
+                    return attempt;
+                } catch (error) {
+                    if (isConnectionError(errorType(error))) {
+                        metrics.recordConnectionError();
+                    }
+                    if (attempt >= maxAttempts || closing || !isRetryableError(error)) {
+                        throw error;
                     }
+                    const delay = retryDelay(attempt, node.retry, error);
+                    node.warn(
+                        `Write attempt ${attempt}/${maxAttempts} failed: ${error.message}. ` +
+                        `Retrying in ${delay} ms.`
+                    );
+                    status.set({
+                        fill: 'yellow',
+                        shape: 'ring',
+                        text: `retry ${attempt + 1}/${maxAttempts} in ${Math.ceil(delay / 1000)}s`
+                    });
+                    await waitForRetry(delay);
+                    if (closing) {
+                        throw error;
+                    }
+                }
+            }
+        }
 
-                    const lineProtocols = [];
-                    for (let i = 0; i < msg.payload.length; i++) {
-                        const item = msg.payload[i];
-                        
-                        if (typeof item === 'string') {
-                            // String line protocol
-                            const lp = item.trim();
-                            if (!lp) {
-                                throw new Error(`Array item ${i} is an empty string`);
-                            }
-                            const validationError = validateLineProtocol(lp);
-                            if (validationError) {
-                                throw new Error(`Array item ${i}: ${validationError}`);
-                            }
-                            lineProtocols.push(lp);
-                        } else if (item && typeof item === 'object' && !Array.isArray(item)) {
-                            // Object payload - build line protocol
-                            const tempMsg = {
-                                ...msg,
-                                payload: item,
-                                measurement: item.measurement || msg.measurement || node.measurement
-                            };
-                            const result = buildLineProtocol(tempMsg);
-                            if (result.error) {
-                                throw new Error(`Array item ${i}: ${result.error}`);
-                            }
-                            lineProtocols.push(result.lineProtocol);
-                        } else {
-                            throw new Error(
-                                `Array item ${i} has invalid format. Expected string (line protocol) or object with fields. ` +
-                                `Received: ${typeof item}`
+        /**
+         * Show the spool backlog depth in the status.
+         */
+        function showSpoolStatus() {
+            status.set({ fill: 'yellow', shape: 'ring', text: `${spool.size().lines} line(s) spooled` });
+        }
+
+        /**
+         * Store an undelivered write in the spool and schedule its replay.
+         * @param {string} lineProtocol
+         * @param {{database: string, precision: (string|undefined)}} target
+         * @throws {Error} When the spool is full and rejects the write
+         */
+        function spoolWrite(lineProtocol, target) {
+            const result = spool.append(target.database, lineProtocol, target.precision);
+            if (!result.stored) {
+                throw new Error(
+                    `InfluxDB is unreachable and the spool is full (${spool.size().lines} line(s) pending); ` +
+                    'the write was dropped'
+                );
+            }
+            if (result.evictedLines > 0) {
+                node.warn(`Spool is full: dropped the ${result.evictedLines} oldest spooled line(s)`);
+            }
+            showSpoolStatus();
+            scheduleReplay(node.spoolReplayInterval);
+        }
+
+        /**
+         * Schedule an attempt to replay the spool.
+         * @param {number} delay
+         */
+        function scheduleReplay(delay) {
+            if (replayTimer || replaying || closing) {
+                return;
+            }
+            replayTimer = setTimeout(replaySpool, delay);
+        }
+
+        /**
+         * Write spooled entries oldest first until the spool is empty or
+         * InfluxDB is still unreachable. Entries the server rejects outright
+         * are discarded so they cannot block the backlog forever.
+         * @returns {Promise<void>}
+         */
+        async function replaySpool() {
+            replayTimer = null;
+            replaying = true;
+            try {
+                let entry;
+                while (!closing && (entry = spool.peek())) {
+                    try {
+                        const started = Date.now();
+                        await writeLineProtocol(entry.lineProtocol, entry);
+                        // Its messages were counted as spooled, not again here
+                        metrics.recordWrite({
+                            messages: 0,
+                            points: entry.lineProtocol.split('\n').length,
+                            size: await measureBody(entry.lineProtocol),
+                            latencyMs: Date.now() - started
+                        });
+                    } catch (error) {
+                        if (isPartialWrite(error)) {
+                            node.warn(
+                                `Partial write while replaying the spool: InfluxDB rejected ` +
+                                `${(error.lineErrors || []).length} line(s)`
                             );
+                        } else if (typeof error.statusCode === 'number' && !isRetryableError(error)) {
+                            node.error(`Discarding spooled write rejected by InfluxDB: ${error.message}`);
+                        } else {
+                            // Still unreachable, or a local problem such as the
+                            // connection config: keep the entry and try again later
+                            if (!isRetryableError(error)) {
+                                node.warn(`Spool replay failed: ${error.message}`);
+                            }
+                            showSpoolStatus();
+                            break;
                         }
                     }
-                    
-                    lineProtocol = lineProtocols.join('\n');
-                } else if (msg.payload && typeof msg.payload === 'object') {
-                    const result = buildLineProtocol(msg);
-                    if (result.error) {
-                        throw new Error(result.error);
+                    spool.shift();
+                }
+            } catch (error) {
+                // The spool itself failed, e.g. a disk error reading an entry:
+                // report it and keep the backlog for the next attempt
+                node.error(`Spool replay failed: ${error.message}`);
+            } finally {
+                replaying = false;
+            }
+
+            if (!spool.isEmpty()) {
+                scheduleReplay(node.spoolReplayInterval);
+            } else if (!closing) {
+                status.set({ fill: 'green', shape: 'dot', text: 'spool replayed' }, 3000);
+            }
+        }
+
+        /**
+         * Size of a write body: the raw size, whether the connection gzips
+         * bodies this large, and the gzipped size. Measuring it compresses the
+         * body a second time, which costs as much CPU as the client's own
+         * compression, so it is only done when the connection asks for it.
+         * @param {string} lineProtocol
+         * @returns {Promise<{raw: number, gzipped: boolean, compressed: (number|null)}>}
+         *   `compressed` is null unless the body is gzipped and measured
+         */
+        async function measureBody(lineProtocol) {
+            const raw = Buffer.byteLength(lineProtocol);
+            const threshold = node.influxdb.gzipThreshold;
+            const gzipped = threshold !== null && threshold !== undefined && raw > threshold;
+            if (!gzipped || !node.influxdb.gzipMeasure) {
+                return { raw, gzipped, compressed: null };
+            }
+            return { raw, gzipped, compressed: (await gzip(lineProtocol)).length };
+        }
+
+        /**
+         * Deliver a write: directly (with retries), or into the spool when
+         * spooling is enabled and either a backlog exists - so writes stay in
+         * order - or the write fails with a transient error. Delivered messages
+         * get the body size in `msg.writeSize`.
+         * @param {string} lineProtocol
+         * @param {{database: string, precision: (string|undefined)}} target
+         * @param {Array<object>} msgs - The messages whose data is in this write
+         * @returns {Promise<{attempts: number, spooled: boolean}>}
+         */
+        async function deliver(lineProtocol, target, msgs) {
+            let attempts = 0;
+            if (!spool || spool.isEmpty()) {
+                const measuring = measureBody(lineProtocol);
+                const started = Date.now();
+                const lineCount = lineProtocol.split('\n').length;
+                try {
+                    attempts = await writeWithRetry(lineProtocol, target, msgs);
+                    const size = await measuring;
+                    msgs.forEach((m) => { m.writeSize = { ...size }; });
+                    countWrite(msgs, lineCount, target, size, Date.now() - started);
+                    return { attempts, spooled: false };
+                } catch (error) {
+                    // Partial writes report type conflicts in their line errors too
+                    checkSchemaConflict(error, target.database);
+                    if (isPartialWrite(error)) {
+                        const rejected = (error.lineErrors || []).length;
+                        countWrite(msgs, lineCount - rejected, target, await measuring, Date.now() - started);
+                        metrics.recordRejectedLines(rejected);
+                        throw error;
                     }
-                    lineProtocol = result.lineProtocol;
-                } else {
-                    const actualType = typeof msg.payload;
-                    const detail = msg.payload === null
-                        ? 'null'
-                        : msg.payload === undefined
-                            ? 'undefined'
-                            : `${actualType}${msg.payload && msg.payload.constructor ? ` [${msg.payload.constructor.name}]` : ''}: ${safeStringify(msg.payload)}`;
-                    throw new Error(
-                        `Invalid payload format. Expected string (line protocol), object with fields, or array of objects/strings. ` +
-                        `Received: ${detail}`
+                    if (!spool || !isRetryableError(error)) {
+                        throw error;
+                    }
+                    node.warn(`Write failed (${error.message}); spooling ${msgs.length} message(s) for later delivery`);
+                }
+            }
+            spoolWrite(lineProtocol, target);
+            msgs.forEach((m) => { m.spooled = true; });
+            metrics.recordSpooled(msgs.length);
+            return { attempts, spooled: true };
+        }
+
+        /**
+         * Count a write the server accepted, fully or in part. With metrics
+         * enabled, its messages get the counters in `msg.influxdb`.
+         * @param {Array<object>} msgs - The messages whose data was in the write
+         * @param {number} points - Lines the server accepted
+         * @param {{database: string}} target
+         * @param {{raw: number, compressed: (number|null)}} size
+         * @param {number} latencyMs - Time until the server answered, retries included
+         */
+        function countWrite(msgs, points, target, size, latencyMs) {
+            metrics.recordWrite({ messages: msgs.length, points, size, latencyMs });
+            if (node.metricsEnabled) {
+                const snapshot = metrics.snapshot();
+                msgs.forEach((m) => {
+                    m.influxdb = { database: target.database, points, latencyMs, metrics: snapshot };
+                });
+            }
+        }
+
+        /**
+         * Whether a write error is a partial success that should be reported
+         * rather than failed.
+         * @param {Error} error
+         * @returns {boolean}
+         */
+        function isPartialWrite(error) {
+            // The client raises PartialWriteError both when the server accepted
+            // the valid lines (partial write occurred) and when it rejected the
+            // whole batch (acceptPartial=false). Only the former is a partial
+            // success; the server signals it with this specific error text.
+            return node.allowPartialWrites &&
+                error instanceof PartialWriteError &&
+                typeof error.message === 'string' &&
+                error.message.toLowerCase().includes('partial write');
+        }
+
+        /**
+         * Report a partial write on a message and forward it.
+         * @param {object} msg
+         * @param {Array<object>} lineErrors - The rejected lines belonging to this message
+         * @param {function} send
+         * @param {function} done
+         * @param {number[]} [lineItems] - Array item index of each line of the
+         *   message, when its rejected items are reported in `msg.droppedItems`
+         */
+        function completePartialWrite(msg, lineErrors, send, done, lineItems) {
+            const detail = lineErrors
+                .map((le) => `line ${le.lineNumber}: ${le.errorMessage}`)
+                .join('; ');
+            node.warn(
+                `Partial write: InfluxDB rejected ${lineErrors.length} line(s), ` +
+                `the remaining lines were written. ${detail}`
+            );
+            msg.partialWriteErrors = lineErrors;
+            if (lineItems) {
+                const rejected = lineErrors
+                    .filter((le) => lineItems[le.lineNumber - 1] !== undefined)
+                    .map((le) => ({ index: lineItems[le.lineNumber - 1], reason: 'rejected', error: le.errorMessage }));
+                msg.droppedItems = (msg.droppedItems || []).concat(rejected).sort((a, b) => a.index - b.index);
+            }
+            send(msg);
+            done();
+        }
+
+        /**
+         * Rejected lines of a write that belong to one of its messages,
+         * renumbered relative to that message's own lines.
+         * @param {Array<object>} lineErrors - With `lineNumber` counted over the whole write
+         * @param {number} firstLine - Line of the write the message starts at (1-based)
+         * @param {number} lineCount - Lines of the message
+         * @returns {Array<object>}
+         */
+        function ownLineErrors(lineErrors, firstLine, lineCount) {
+            return lineErrors
+                .filter((le) => le.lineNumber >= firstLine && le.lineNumber < firstLine + lineCount)
+                .map((le) => ({ ...le, lineNumber: le.lineNumber - firstLine + 1 }));
+        }
+
+        /**
+         * Fail a message: with the error output enabled it is sent there with
+         * a structured `msg.error`, otherwise done(error) hands it to Catch nodes.
+         * @param {object} msg
+         * @param {Error} error
+         * @param {function} send
+         * @param {function} done
+         * @param {Array<object>} [lineErrors] - The rejected lines of this message,
+         *   when the write held other messages too
+         */
+        function rejectMessage(msg, error, send, done, lineErrors) {
+            if (!node.errorOutput) {
+                done(error);
+                return;
+            }
+            const described = describeWriteError(error);
+            msg.error = {
+                ...described,
+                lines: lineErrors || described.lines,
+                source: { id: node.id, type: node.type, name: node.name }
+            };
+            send([null, msg]);
+            done();
+        }
+
+        /**
+         * Show a failed write in the status and fail the message.
+         * @param {Error} error
+         * @param {object} msg
+         * @param {function} send
+         * @param {function} done
+         */
+        function failWrite(error, msg, send, done) {
+            status.set({ fill: 'red', shape: 'dot', text: shortErrorMessage(error) });
+            rejectMessage(msg, error, send, done);
+        }
+
+        /**
+         * Total number of lines waiting in all pending batches.
+         * @returns {number}
+         */
+        function pendingLineCount() {
+            let total = 0;
+            for (const batch of batches.values()) {
+                total += batch.lineCount;
+            }
+            return total;
+        }
+
+        /**
+         * Undo what the deadband filter recorded for a write that failed (in
+         * full or in part), so its values are not taken as written.
+         * @param {Array} [deadbandRecord]
+         */
+        function forgetDeadbandValues(deadbandRecord) {
+            if (deadband && deadbandRecord) {
+                deadband.forget(deadbandRecord);
+            }
+        }
+
+        /**
+         * Add a message's line protocol to the batch for its target, flushing
+         * the batch when it reaches the line or byte limit. Writes with
+         * different databases or timestamp precisions are batched separately.
+         * @param {string} lineProtocol
+         * @param {{database: string, precision: (string|undefined)}} target
+         * @param {object} msg
+         * @param {function} send
+         * @param {function} done
+         * @param {number[]} [lineItems] - Array item index of each line, see completePartialWrite()
+         * @param {Array} [deadbandRecord] - Values the deadband filter took as written
+         */
+        function enqueue(lineProtocol, target, msg, send, done, lineItems, deadbandRecord) {
+            const key = `${target.precision || ''}:${target.database}`;
+            let batch = batches.get(key);
+            if (!batch) {
+                batch = { target, entries: [], lineCount: 0, bytes: 0, timer: null };
+                batches.set(key, batch);
+            }
+
+            const lineCount = lineProtocol.split('\n').length;
+            batch.entries.push({ lineProtocol, lineCount, msg, send, done, lineItems, deadbandRecord });
+            batch.lineCount += lineCount;
+            // +1 for the newline joining this entry to the next
+            batch.bytes += Buffer.byteLength(lineProtocol) + 1;
+
+            if (batch.lineCount >= node.batchMaxLines || batch.bytes >= node.batchMaxBytes) {
+                flushBatch(key);
+                return;
+            }
+            if (!batch.timer) {
+                batch.timer = setTimeout(function() {
+                    flushBatch(key);
+                }, node.batchFlushInterval);
+            }
+            status.set({ fill: 'blue', shape: 'ring', text: `${pendingLineCount()} line(s) buffered` });
+        }
+
+        /**
+         * Write a pending batch. Each message's done() is called only once the
+         * write it was part of has been acknowledged (or has failed).
+         * @param {string} key - Batch key from enqueue()
+         * @returns {Promise<void>}
+         */
+        async function flushBatch(key) {
+            const batch = batches.get(key);
+            if (!batch) {
+                return;
+            }
+            batches.delete(key);
+            if (batch.timer) {
+                clearTimeout(batch.timer);
+            }
+
+            const lineProtocol = batch.entries.map((e) => e.lineProtocol).join('\n');
+            let result;
+            try {
+                result = await deliver(lineProtocol, batch.target, batch.entries.map((e) => e.msg));
+            } catch (error) {
+                if (isPartialWrite(error)) {
+                    // Hand each message the rejected lines that came from it,
+                    // renumbered relative to that message's own lines.
+                    const lineErrors = error.lineErrors || [];
+                    let firstLine = 1;
+                    for (const entry of batch.entries) {
+                        const own = ownLineErrors(lineErrors, firstLine, entry.lineCount);
+                        if (own.length > 0) {
+                            forgetDeadbandValues(entry.deadbandRecord);
+                            completePartialWrite(entry.msg, own, entry.send, entry.done, entry.lineItems);
+                        } else {
+                            entry.send(entry.msg);
+                            entry.done();
+                        }
+                        firstLine += entry.lineCount;
+                    }
+                    status.set({
+                        fill: 'yellow',
+                        shape: 'dot',
+                        text: `partial write: ${lineErrors.length} line(s) rejected`
+                    });
+                    return;
+                }
+                status.set({ fill: 'red', shape: 'dot', text: shortErrorMessage(error) });
+                metrics.recordError(errorType(error), batch.entries.length, error.message);
+                const lineErrors = describeWriteError(error).lines;
+                let firstLine = 1;
+                for (const entry of batch.entries) {
+                    forgetDeadbandValues(entry.deadbandRecord);
+                    rejectMessage(
+                        entry.msg, error, entry.send, entry.done,
+                        ownLineErrors(lineErrors, firstLine, entry.lineCount)
                     );
+                    firstLine += entry.lineCount;
                 }
+                return;
+            }
 
-                // Both acceptPartial and noSync exist only on the V3 API endpoint,
-                // so opting into either selects it. With neither enabled, no write
-                // options are passed and the client default (V2 endpoint) is used,
-                // preserving previous behaviour.
-                let writeOptions = null;
-                if (node.allowPartialWrites || node.noSync) {
-                    writeOptions = { useV2Api: false };
-                    if (node.noSync) {
-                        writeOptions.noSync = true;
+            for (const entry of batch.entries) {
+                entry.send(entry.msg);
+                entry.done();
+            }
+            const pending = pendingLineCount();
+            if (result.spooled) {
+                showSpoolStatus();
+            } else if (pending > 0) {
+                status.set({ fill: 'blue', shape: 'ring', text: `${pending} line(s) buffered` });
+            } else {
+                status.set({ fill: 'green', shape: 'dot', text: `written ${batch.lineCount} line(s)` }, 3000);
+            }
+        }
+
+        if (spool && !spool.isEmpty()) {
+            // Backlog left over from before a restart/redeploy
+            showSpoolStatus();
+            scheduleReplay(0);
+        }
+
+        node.on('input', async function(msg, send, done) {
+            let lineItems;
+            let deadbandRecord;
+            // Set once the message has been converted, so failures before that count as invalid
+            let writing = false;
+            try {
+                const targetDatabase = resolveDatabase(msg, node);
+
+                if (!targetDatabase) {
+                    throw new Error('Database not specified');
+                }
+
+                const precision = parsePrecision(msg.precision) || node.precision || undefined;
+                const target = { database: targetDatabase, precision };
+                // With a mapping table the point is built from it; msg itself is forwarded unchanged
+                const source = node.mappings.length > 0 ? await mapMessage(msg) : msg;
+                const learned = node.learnSchemaEnabled && typeof source.payload !== 'string'
+                    ? await learnedSchema(targetDatabase)
+                    : undefined;
+                let { lineProtocol, items } = payloadToLineProtocol(source, precision, learned);
+                // Only reported with skip-invalid mode, so other messages keep their shape
+                lineItems = node.skipInvalidItems && items ? items.lineItems : undefined;
+                if (lineItems && items.skipped.length > 0) {
+                    metrics.recordSkippedItems(items.skipped.length);
+                    msg.droppedItems = items.skipped;
+                    node.warn(
+                        `Skipped ${items.skipped.length} of ${source.payload.length} array item(s): ` +
+                        items.skipped.map((item) => item.error).join('; ')
+                    );
+                }
+                if (deadband) {
+                    const filtered = deadband.filter(targetDatabase, lineProtocol);
+                    if (filtered.suppressed > 0) {
+                        metrics.recordSuppressedLines(filtered.suppressed);
+                        msg.suppressedLines = filtered.suppressed;
                     }
-                    if (!node.allowPartialWrites) {
-                        // noSync without partial writes: keep the all-or-nothing
-                        // semantics the V2 endpoint would have provided.
-                        writeOptions.acceptPartial = false;
+                    if (filtered.kept.length === 0) {
+                        // Nothing changed: pass the message on without writing
+                        send(msg);
+                        done();
+                        return;
                     }
+                    lineProtocol = filtered.lineProtocol;
+                    lineItems = lineItems && filtered.kept.map((index) => lineItems[index]);
+                    deadbandRecord = filtered.recorded;
                 }
 
-                // Write to InfluxDB
-                if (writeOptions) {
-                    await client.write(lineProtocol, targetDatabase, undefined, writeOptions);
-                } else {
-                    await client.write(lineProtocol, targetDatabase);
+                writing = true;
+                if (node.batchEnabled) {
+                    enqueue(lineProtocol, target, msg, send, done, lineItems, deadbandRecord);
+                    return;
                 }
 
-                setStatus({ fill: 'green', shape: 'dot', text: 'written' }, 3000);
+                const result = await deliver(lineProtocol, target, [msg]);
+
+                if (!result.spooled) {
+                    status.set({
+                        fill: 'green',
+                        shape: 'dot',
+                        text: result.attempts > 1 ? `written after ${result.attempts} attempts` : 'written'
+                    }, 3000);
+                }
 
                 send(msg);
                 done();
 
             } catch (error) {
-                // The client raises PartialWriteError both when the server accepted
-                // the valid lines (partial write occurred) and when it rejected the
-                // whole batch (acceptPartial=false). Only the former is a partial
-                // success; the server signals it with this specific error text.
-                if (node.allowPartialWrites &&
-                    error instanceof PartialWriteError &&
-                    typeof error.message === 'string' &&
-                    error.message.toLowerCase().includes('partial write')) {
+                forgetDeadbandValues(deadbandRecord);
+                if (isPartialWrite(error)) {
                     const lineErrors = error.lineErrors || [];
-                    const detail = lineErrors
-                        .map((le) => `line ${le.lineNumber}: ${le.errorMessage}`)
-                        .join('; ');
-                    node.warn(
-                        `Partial write: InfluxDB rejected ${lineErrors.length} line(s), ` +
-                        `the remaining lines were written. ${detail}`
-                    );
-                    msg.partialWriteErrors = lineErrors;
-                    setStatus({
+                    status.set({
                         fill: 'yellow',
                         shape: 'dot',
                         text: `partial write: ${lineErrors.length} line(s) rejected`
                     });
-                    send(msg);
+                    completePartialWrite(msg, lineErrors, send, done, lineItems);
+                    return;
+                }
+
+                metrics.recordError(writing ? errorType(error) : 'invalid', 1, error.message);
+                failWrite(error, msg, send, done);
+            }
+        });
+
+        node.on('close', function(_removed, done) {
+            // Abandon pending retries: their writes fail with the last error
+            closing = true;
+            for (const wait of retryWaits) {
+                clearTimeout(wait.timer);
+                wait.resolve();
+            }
+            retryWaits.clear();
+            if (replayTimer) {
+                clearTimeout(replayTimer);
+                replayTimer = null;
+            }
+
+            if (writeNodeMetrics.has(node.id) && writeNodeMetrics.get(node.id).node === node) {
+                writeNodeMetrics.delete(node.id);
+            }
+
+            if (batches.size === 0) {
+                status.clear();
+                done();
+                return;
+            }
+            // Flush what is still buffered before the node goes away
+            Promise.all(Array.from(batches.keys()).map(flushBatch)).then(function() {
+                status.clear();
+                done();
+            });
+        });
+    }
+
+    RED.nodes.registerType('influxdb3-write', InfluxDB3WriteNode);
+
+    // Query languages accepted by InfluxDBClient.query() ({ type })
+    const QUERY_TYPES = ['sql', 'influxql'];
+
+    /**
+     * InfluxDB v3 Query Node
+     * @param {object} config
+     */
+    function InfluxDB3QueryNode(config) {
+        RED.nodes.createNode(this, config);
+
+        this.influxdb = RED.nodes.getNode(config.influxdb);
+        /** @type {string} */
+        this.query = config.query;
+        this.database = config.database;
+        /** @type {string} */
+        this.queryType = config.queryType || 'sql';
+        /** @type {Array<{name: string, value: string, type: string}>} */
+        this.params = Array.isArray(config.params) ? config.params : [];
+        /** @type {string} 'array' (all rows in one message) or 'stream' (one message per row/chunk) */
+        this.outputMode = config.outputMode === 'stream' ? 'stream' : 'array';
+        const chunkSize = parseInt(config.chunkSize, 10);
+        /** @type {number} */
+        this.chunkSize = Number.isInteger(chunkSize) && chunkSize > 0 ? chunkSize : 1;
+
+        const node = this;
+        const status = createStatusSetter(node);
+
+        if (!node.influxdb) {
+            node.error('InfluxDB v3 config not set');
+            node.status({ fill: 'red', shape: 'dot', text: 'no config' });
+            return;
+        }
+
+        /**
+         * Resolve the query language: msg.queryType overrides the node setting.
+         * @param {object} msg
+         * @returns {string} 'sql' or 'influxql'
+         */
+        function resolveQueryType(msg) {
+            const requested = (typeof msg.queryType === 'string' && msg.queryType.trim())
+                ? msg.queryType.trim().toLowerCase()
+                : node.queryType;
+            if (!QUERY_TYPES.includes(requested)) {
+                throw new Error(
+                    `Invalid query type '${requested}'. Expected one of: ${QUERY_TYPES.join(', ')}`
+                );
+            }
+            return requested;
+        }
+
+        /**
+         * Collect query parameters: the node's Parameters list (evaluated as typed
+         * inputs against the message), overridden key by key by msg.params.
+         * @param {object} msg
+         * @returns {object} Parameter values keyed by name (without `$`)
+         */
+        function collectParams(msg) {
+            const params = {};
+            for (const param of node.params) {
+                const name = typeof param.name === 'string' ? param.name.trim().replace(/^\$/, '') : '';
+                if (!name) {
+                    continue;
+                }
+                params[name] = RED.util.evaluateNodeProperty(param.value, param.type, node, msg);
+            }
+            if (msg.params !== null && msg.params !== undefined) {
+                if (typeof msg.params !== 'object' || Array.isArray(msg.params)) {
+                    throw new Error(
+                        `msg.params must be an object of parameter values keyed by name. ` +
+                        `Received: ${Array.isArray(msg.params) ? 'Array' : typeof msg.params}`
+                    );
+                }
+                Object.assign(params, msg.params);
+            }
+            return params;
+        }
+
+        /**
+         * Stream query results: one message per row (chunkSize 1) or per array of
+         * chunkSize rows on output 1, then a completion message on output 2.
+         *
+         * Each chunk is held back until the next one is ready, so the last chunk
+         * can carry `parts.count` - which is what lets a join node in automatic
+         * mode reassemble the result without knowing the row count up front.
+         *
+         * @param {object} msg - The triggering message, copied into every output
+         * @param {function} send
+         * @param {AsyncIterable<object>} rows - Rows from client.query()
+         * @returns {Promise<number>} The number of rows streamed
+         */
+        async function streamRows(msg, send, rows) {
+            const started = Date.now();
+            const partsId = RED.util.generateId();
+            let index = 0;
+            let rowCount = 0;
+            let chunk = [];
+            let pending;
+            let hasPending = false;
+
+            function emit(payload, last) {
+                const parts = { id: partsId, type: 'array', index: index };
+                if (node.chunkSize > 1) {
+                    parts.len = node.chunkSize;
+                }
+                if (last) {
+                    parts.count = index + 1;
+                }
+                if (msg.parts) {
+                    parts.parts = msg.parts;
+                }
+                // Shallow copy: rows are new objects, the rest of msg is shared
+                send([{ ...msg, payload: payload, parts: parts }, null]);
+                index++;
+            }
+
+            function hold(payload) {
+                if (hasPending) {
+                    emit(pending, false);
+                }
+                pending = payload;
+                hasPending = true;
+            }
+
+            for await (const row of rows) {
+                rowCount++;
+                if (node.chunkSize === 1) {
+                    hold(row);
+                } else {
+                    chunk.push(row);
+                    if (chunk.length === node.chunkSize) {
+                        hold(chunk);
+                        chunk = [];
+                    }
+                }
+            }
+            if (chunk.length > 0) {
+                hold(chunk);
+            }
+            if (hasPending) {
+                emit(pending, true);
+            }
+
+            send([null, {
+                ...msg,
+                payload: {
+                    rowCount: rowCount,
+                    chunkCount: index,
+                    durationMs: Date.now() - started
+                }
+            }]);
+            return rowCount;
+        }
+
+        node.on('input', async function(msg, send, done) {
+            try {
+                const client = node.influxdb.getClient();
+
+                const targetDatabase = resolveDatabase(msg, node);
+                if (!targetDatabase) {
+                    throw new Error('Database not specified');
+                }
+
+                // msg.query overrides the configured query; blank values fall back.
+                const trim = (q) => (typeof q === 'string' ? q.trim() : '');
+                const query = trim(msg.query) || trim(node.query);
+                if (!query) {
+                    throw new Error('Query not specified - set it in the node or pass msg.query');
+                }
+
+                const queryType = resolveQueryType(msg);
+
+                // Values are sent as native query parameters, never spliced into the text
+                const params = bindParams(query, collectParams(msg));
+                const queryOptions = { type: queryType };
+                if (Object.keys(params).length > 0) {
+                    queryOptions.params = params;
+                }
+
+                status.set({ fill: 'blue', shape: 'dot', text: 'querying' });
+
+                const results = client.query(query, targetDatabase, queryOptions);
+
+                if (node.outputMode === 'stream') {
+                    const rowCount = await streamRows(msg, send, results);
+                    status.set({ fill: 'green', shape: 'dot', text: `${rowCount} row(s) streamed` }, 3000);
                     done();
                     return;
                 }
 
-                const shortMsg = error.message
-                    ? (error.message.length > 80 ? error.message.substring(0, 80) + '...' : error.message)
-                    : 'unknown error';
-                setStatus({ fill: 'red', shape: 'dot', text: shortMsg });
+                const rows = [];
+                for await (const row of results) {
+                    rows.push(row);
+                }
+
+                msg.payload = rows;
+                status.set({ fill: 'green', shape: 'dot', text: `${rows.length} row(s)` }, 3000);
+
+                send(msg);
+                done();
+            } catch (error) {
+                status.set({ fill: 'red', shape: 'dot', text: shortErrorMessage(error) });
                 done(error);
             }
         });
 
         node.on('close', function() {
-            if (statusTimeout) {
-                clearTimeout(statusTimeout);
-                statusTimeout = null;
+            status.clear();
+        });
+    }
+
+    RED.nodes.registerType('influxdb3-query', InfluxDB3QueryNode);
+
+    /**
+     * Line Protocol Parse Node: turns line protocol into the object payload the
+     * write node accepts
+     * @param {object} config
+     */
+    function InfluxDB3ParseNode(config) {
+        RED.nodes.createNode(this, config);
+
+        /** @type {string} Precision of the incoming timestamps (s, ms, us, ns) */
+        this.precision = PRECISIONS.includes(config.precision) ? config.precision : 'ns';
+        /** @type {string} 'array' (all points in one message) or 'split' (one message per point) */
+        this.output = config.output === 'split' ? 'split' : 'array';
+
+        const node = this;
+        const status = createStatusSetter(node);
+
+        node.on('input', function(msg, send, done) {
+            try {
+                let text = msg.payload;
+                if (Buffer.isBuffer(text)) {
+                    text = text.toString('utf8');
+                }
+                if (typeof text !== 'string') {
+                    throw new Error(
+                        `Expected line protocol as a string or Buffer in msg.payload. ` +
+                        `Received: ${text === null ? 'null' : typeof text}`
+                    );
+                }
+
+                const { points, errors } = parseLineProtocol(text);
+                if (errors.length > 0) {
+                    // Left on the message for a Catch node to inspect
+                    msg.parseErrors = errors;
+                    throw new Error(parseErrorMessage(errors));
+                }
+                if (points.length === 0) {
+                    throw new Error('No points in the line protocol - the payload is empty or only comments');
+                }
+
+                const payloads = points.map(pointToPayload);
+                // Timestamps stay digit strings, written back in the same precision
+                const precision = payloads.some((p) => p.timestamp !== undefined) ? node.precision : undefined;
+
+                if (node.output === 'split') {
+                    const partsId = RED.util.generateId();
+                    payloads.forEach(function(payload, index) {
+                        const out = { ...msg, payload: payload, measurement: payload.measurement };
+                        if (precision) {
+                            out.precision = precision;
+                        }
+                        out.parts = { id: partsId, type: 'array', index: index, count: payloads.length };
+                        if (msg.parts) {
+                            out.parts.parts = msg.parts;
+                        }
+                        send(out);
+                    });
+                } else {
+                    msg.payload = payloads;
+                    if (precision) {
+                        msg.precision = precision;
+                    }
+                    send(msg);
+                }
+                status.set({ fill: 'green', shape: 'dot', text: `${payloads.length} point(s)` }, 3000);
+                done();
+            } catch (error) {
+                status.set({ fill: 'red', shape: 'dot', text: shortErrorMessage(error) });
+                done(error);
             }
-            node.status({});
+        });
+
+        node.on('close', function() {
+            status.clear();
         });
     }
 
-    RED.nodes.registerType('influxdb3-write', InfluxDB3WriteNode);
+    RED.nodes.registerType('influxdb3-parse', InfluxDB3ParseNode);
 };
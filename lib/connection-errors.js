@@ -0,0 +1,103 @@
+/**
+ * Pure helpers that turn the errors raised while talking to InfluxDB
+ * (Node.js socket/TLS errors, HTTP errors, gRPC errors from queries) into
+ * short, specific explanations for the editor.
+ * @module lib/connection-errors
+ */
+
+'use strict';
+
+// Node.js TLS verification failure codes
+const TLS_ERROR_CODES = new Set([
+    'DEPTH_ZERO_SELF_SIGNED_CERT',
+    'SELF_SIGNED_CERT_IN_CHAIN',
+    'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+    'UNABLE_TO_GET_ISSUER_CERT_LOCALLY',
+    'CERT_HAS_EXPIRED',
+    'CERT_NOT_YET_VALID',
+    'ERR_TLS_CERT_ALTNAME_INVALID'
+]);
+
+// gRPC status names, as set on the RpcError `code` of a failed query
+// (queries go over Arrow Flight / gRPC)
+const GRPC_NOT_FOUND = 'NOT_FOUND';
+const GRPC_PERMISSION_DENIED = 'PERMISSION_DENIED';
+const GRPC_UNAVAILABLE = 'UNAVAILABLE';
+const GRPC_UNAUTHENTICATED = 'UNAUTHENTICATED';
+const GRPC_DEADLINE_EXCEEDED = 'DEADLINE_EXCEEDED';
+
+/**
+ * Explain why a connection check failed.
+ * @param {Error} error
+ * @returns {{reason: string, message: string}} `reason` is a stable keyword
+ *   (unreachable, tls, auth, database, server, config) and `message` a
+ *   human-readable explanation
+ */
+function describeConnectionError(error) {
+    const detail = (error && error.message) || String(error);
+    const code = error && error.code;
+
+    if (typeof code === 'string') {
+        if (TLS_ERROR_CODES.has(code)) {
+            return {
+                reason: 'tls',
+                message: `TLS certificate verification failed (${code}). Set a CA Cert Path for a ` +
+                    'private CA, or disable Verify TLS for trusted local instances.'
+            };
+        }
+        if (code === 'ENOTFOUND' || code === 'EAI_AGAIN') {
+            return { reason: 'unreachable', message: `Host name could not be resolved (${code})` };
+        }
+        if (code === 'ECONNREFUSED') {
+            return { reason: 'unreachable', message: 'Connection refused - check the host and port' };
+        }
+        if (code === 'ETIMEDOUT' || code === 'ECONNRESET' || code === 'EHOSTUNREACH' || code === 'ENETUNREACH') {
+            return { reason: 'unreachable', message: `Server could not be reached (${code})` };
+        }
+        if (code === 'EPROTO' || code === 'ERR_SSL_WRONG_VERSION_NUMBER') {
+            return {
+                reason: 'tls',
+                message: `TLS handshake failed (${code}) - check whether the host uses http:// or https://`
+            };
+        }
+    }
+
+    if (error && typeof error.statusCode === 'number') {
+        if (error.statusCode === 401) {
+            return { reason: 'auth', message: 'Authentication failed: the token was rejected (HTTP 401)' };
+        }
+        if (error.statusCode === 403) {
+            return { reason: 'auth', message: 'Permission denied: the token lacks access (HTTP 403)' };
+        }
+        if (error.statusCode === 404 && /database/i.test(detail)) {
+            return { reason: 'database', message: `Database not found: ${detail}` };
+        }
+        return { reason: 'server', message: `Server returned HTTP ${error.statusCode}: ${detail}` };
+    }
+
+    if (typeof code === 'string') {
+        if (code === GRPC_UNAUTHENTICATED) {
+            return { reason: 'auth', message: 'Authentication failed: the token was rejected' };
+        }
+        if (code === GRPC_PERMISSION_DENIED) {
+            return { reason: 'auth', message: 'Permission denied: the token cannot read this database' };
+        }
+        if (code === GRPC_NOT_FOUND) {
+            return { reason: 'database', message: `Database not found: ${detail}` };
+        }
+        if (code === GRPC_UNAVAILABLE) {
+            return { reason: 'unreachable', message: `Query service unavailable: ${detail}` };
+        }
+        if (code === GRPC_DEADLINE_EXCEEDED) {
+            return { reason: 'unreachable', message: `Query service did not answer in time: ${detail}` };
+        }
+    }
+
+    if (/database .*not found|not found.*database/i.test(detail)) {
+        return { reason: 'database', message: `Database not found: ${detail}` };
+    }
+
+    return { reason: 'config', message: detail };
+}
+
+module.exports = { describeConnectionError };
@@ -0,0 +1,125 @@
+/**
+ * Report-by-exception filter for the write node: a point is written only
+ * when one of its fields has changed by more than a deadband since the value
+ * last written for that series, or when the field has not been written for
+ * longer than a heartbeat interval.
+ * @module lib/deadband
+ */
+
+'use strict';
+
+const { parseLineProtocol } = require('./line-protocol');
+
+const NUMERIC_TYPES = ['float', 'integer', 'uinteger'];
+
+// Fields tracked per node; the least recently written are forgotten first
+const MAX_TRACKED_FIELDS = 100000;
+
+/**
+ * Whether a field value differs from the last written one by more than the deadband.
+ * Strings and booleans count as changed on any difference.
+ * @param {{type: string, value: *}} last
+ * @param {{type: string, value: *}} field
+ * @param {{mode: string, value: number}} deadband
+ * @returns {boolean}
+ */
+function exceedsDeadband(last, field, deadband) {
+    if (last.type !== field.type) {
+        return true;
+    }
+    if (!NUMERIC_TYPES.includes(field.type)) {
+        return last.value !== field.value;
+    }
+    const previous = Number(last.value);
+    const delta = Math.abs(Number(field.value) - previous);
+    const limit = deadband.mode === 'percent' ? Math.abs(previous) * deadband.value / 100 : deadband.value;
+    return delta > limit;
+}
+
+/**
+ * Create the filter of one write node.
+ * @param {object} options
+ * @param {string} options.mode - `absolute` or `percent` (of the last written value)
+ * @param {number} options.value - The deadband; 0 writes every change
+ * @param {number} options.maxSilence - Milliseconds after which a field is written
+ *   even when unchanged; 0 for no heartbeat
+ * @param {function(): number} [now=Date.now]
+ * @returns {{filter: function(string, string): {lineProtocol: string, kept: number[], suppressed: number, recorded: Array},
+ *   forget: function(Array): void}}
+ */
+function createDeadbandFilter(options, now) {
+    const clock = now || Date.now;
+    /** @type {Map<string, {type: string, value: *, writtenAt: number}>} */
+    const lastWritten = new Map();
+
+    function remember(key, field, time) {
+        const entry = { type: field.type, value: field.value, writtenAt: time };
+        // Re-inserting moves the key to the end, so the first key is the stalest
+        lastWritten.delete(key);
+        lastWritten.set(key, entry);
+        if (lastWritten.size > MAX_TRACKED_FIELDS) {
+            lastWritten.delete(lastWritten.keys().next().value);
+        }
+        return [key, entry];
+    }
+
+    return {
+        /**
+         * Drop the lines of line protocol whose fields are all within the
+         * deadband. Lines that do not parse are kept, so the server still
+         * reports them; blank and comment lines are dropped.
+         * @param {string} database - Series in different databases are tracked apart
+         * @param {string} lineProtocol
+         * @returns {{lineProtocol: string, kept: number[], suppressed: number, recorded: Array}}
+         *   `kept` holds the index of each kept line in the input; `suppressed`
+         *   counts the points left out; `recorded` is the values taken as written,
+         *   for forget() when the write fails
+         */
+        filter(database, lineProtocol) {
+            const time = clock();
+            const lines = lineProtocol.split('\n');
+            const { points, errors } = parseLineProtocol(lineProtocol);
+            const keep = new Set(errors.map((error) => error.line - 1));
+            const recorded = [];
+            for (const point of points) {
+                const tags = Object.keys(point.tags).sort().map((key) => [key, point.tags[key]]);
+                // JSON keeps names and values apart whatever characters they contain
+                const fieldKey = (name) => JSON.stringify([database, point.measurement, tags, name]);
+                const fields = Object.entries(point.fields);
+                const changed = fields.some(function([name, field]) {
+                    const last = lastWritten.get(fieldKey(name));
+                    return !last ||
+                        (options.maxSilence > 0 && time - last.writtenAt >= options.maxSilence) ||
+                        exceedsDeadband(last, field, options);
+                });
+                if (changed) {
+                    keep.add(point.line - 1);
+                    fields.forEach(([name, field]) => recorded.push(remember(fieldKey(name), field, time)));
+                }
+            }
+            const kept = lines.map((_line, index) => index).filter((index) => keep.has(index));
+            return {
+                lineProtocol: kept.map((index) => lines[index]).join('\n'),
+                kept,
+                suppressed: points.length - (kept.length - errors.length),
+                recorded
+            };
+        },
+
+        /**
+         * Forget values of a write that failed, so the next value of those
+         * fields is written whether or not it changed. Fields written again
+         * since are left as they are.
+         * @param {Array} recorded - From filter()
+         */
+        forget(recorded) {
+            for (const [key, entry] of recorded) {
+                if (lastWritten.get(key) === entry) {
+                    lastWritten.delete(key);
+                }
+            }
+        }
+    };
+}
+
+module.exports = { createDeadbandFilter };
@@ -0,0 +1,41 @@
+/**
+ * Pure helpers for default tags: tags configured on the connection or the
+ * write node and added to every point, such as the site or gateway a flow
+ * runs on. Values may reference environment variables as `${NAME}`.
+ * @module lib/default-tags
+ */
+
+'use strict';
+
+/**
+ * Resolve a default tag table.
+ * @param {Array<{key: string, value: string}>} entries
+ * @param {function(string): string} substitute - Replaces `${NAME}` references;
+ *   references it cannot resolve are left in the text
+ * @returns {{tags: Object<string, string>, skipped: string[]}} `skipped` names the
+ *   tags left out because their value is empty or references an unset variable
+ * @throws {Error} When an entry has no name
+ */
+function resolveDefaultTags(entries, substitute) {
+    const tags = {};
+    const skipped = [];
+    (entries || []).forEach(function(entry, index) {
+        const key = typeof entry.key === 'string' ? entry.key.trim() : '';
+        if (!key) {
+            throw new Error(`Default tag ${index + 1} needs a name`);
+        }
+        const raw = entry.value === undefined || entry.value === null ? '' : String(entry.value);
+        const value = substitute(raw);
+        const unresolved = /\$\{([^}]+)\}/.exec(value);
+        if (unresolved) {
+            skipped.push(`'${key}' (environment variable ${unresolved[1]} is not set)`);
+        } else if (value === '') {
+            skipped.push(`'${key}' (empty value)`);
+        } else {
+            tags[key] = value;
+        }
+    });
+    return { tags, skipped };
+}
+
+module.exports = { resolveDefaultTags };
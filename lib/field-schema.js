@@ -0,0 +1,133 @@
+/**
+ * Pure helpers for the write node's declared schema: which keys of a
+ * measurement are tags and which line-protocol type each field has, and the
+ * coercion of incoming values to those types.
+ * @module lib/field-schema
+ */
+
+'use strict';
+
+const FIELD_TYPES = ['float', 'integer', 'uinteger', 'string', 'boolean'];
+
+// Decimal or exponent notation, as accepted for a float field
+const NUMERIC_STRING = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+/**
+ * Index the schema table of the write node.
+ * @param {Array<{measurement: string, key: string, type: string}>} entries -
+ *   `type` is `tag` or one of the field types
+ * @returns {Map<string, {tags: Set<string>, fields: Map<string, string>}>}
+ *   Keyed by measurement
+ * @throws {Error} When an entry has no measurement or key, or an unknown type
+ */
+function buildSchema(entries) {
+    const schema = new Map();
+    (entries || []).forEach(function(entry, index) {
+        const measurement = typeof entry.measurement === 'string' ? entry.measurement.trim() : '';
+        const key = typeof entry.key === 'string' ? entry.key.trim() : '';
+        if (!measurement || !key) {
+            throw new Error(`Schema entry ${index + 1} needs both a measurement and a key`);
+        }
+        if (entry.type !== 'tag' && !FIELD_TYPES.includes(entry.type)) {
+            throw new Error(
+                `Schema entry ${index + 1} ('${measurement}.${key}') has unknown type '${entry.type}'. ` +
+                `Expected tag or one of: ${FIELD_TYPES.join(', ')}`
+            );
+        }
+        if (!schema.has(measurement)) {
+            schema.set(measurement, { tags: new Set(), fields: new Map() });
+        }
+        const table = schema.get(measurement);
+        if (entry.type === 'tag') {
+            table.tags.add(key);
+            table.fields.delete(key);
+        } else {
+            table.fields.set(key, entry.type);
+            table.tags.delete(key);
+        }
+    });
+    return schema;
+}
+
+/**
+ * Coerce a value to the integer types without going through floating point.
+ * @param {*} value
+ * @param {boolean} unsigned
+ * @returns {{value: (bigint|number|string)}|{error: string}} The value in a form
+ *   accepted by parseExactInteger; range checks are left to it
+ */
+function coerceInteger(value, unsigned) {
+    const type = unsigned ? 'unsigned integer' : 'integer';
+    if (typeof value === 'bigint') {
+        return { value };
+    }
+    if (typeof value === 'number') {
+        if (!Number.isInteger(value)) {
+            return { error: `${value} is not a whole number, so it cannot be written as ${type}` };
+        }
+        return { value };
+    }
+    if (typeof value === 'string') {
+        const match = /^\s*(-?\d+)[iu]?\s*$/.exec(value);
+        if (match) {
+            return { value: match[1] };
+        }
+        const number = NUMERIC_STRING.test(value.trim()) ? Number(value) : NaN;
+        if (Number.isInteger(number) && Number.isSafeInteger(number)) {
+            return { value: number };
+        }
+    }
+    return { error: `'${value}' cannot be written as ${type}` };
+}
+
+/**
+ * Coerce a field value to a declared line-protocol type. Values that hold the
+ * same quantity are converted (`42` or `"42"` to a float, `42.0` to an
+ * integer, `"true"` to a boolean); anything that would lose information is
+ * reported instead.
+ * @param {*} value - A string, number, BigInt or boolean
+ * @param {string} type - float, integer, uinteger, string or boolean
+ * @returns {{value: *}|{error: string}} For integer types the value is a
+ *   BigInt, an integral number or a digit string
+ */
+function coerceFieldValue(value, type) {
+    switch (type) {
+    case 'float':
+        if (typeof value === 'number') {
+            return isFinite(value) ? { value } : { error: `${value} is not a finite number` };
+        }
+        if (typeof value === 'bigint') {
+            return { value: Number(value) };
+        }
+        if (typeof value === 'string') {
+            const text = value.trim().replace(/^(-?\d+)[iu]$/, '$1');
+            if (NUMERIC_STRING.test(text) && isFinite(Number(text))) {
+                return { value: Number(text) };
+            }
+        }
+        return { error: `'${value}' cannot be written as float` };
+    case 'integer':
+    case 'uinteger':
+        return coerceInteger(value, type === 'uinteger');
+    case 'string':
+        if (typeof value === 'string') {
+            return { value };
+        }
+        if (typeof value === 'number' || typeof value === 'bigint' || typeof value === 'boolean') {
+            return { value: String(value) };
+        }
+        return { error: `'${value}' cannot be written as string` };
+    case 'boolean':
+        if (typeof value === 'boolean') {
+            return { value };
+        }
+        if (typeof value === 'string' && /^(true|false)$/i.test(value.trim())) {
+            return { value: value.trim().toLowerCase() === 'true' };
+        }
+        return { error: `'${value}' cannot be written as boolean` };
+    default:
+        return { error: `unknown field type '${type}'` };
+    }
+}
+
+module.exports = { FIELD_TYPES, buildSchema, coerceFieldValue };
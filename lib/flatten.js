@@ -0,0 +1,50 @@
+/**
+ * Pure helpers for the write node's flatten option, which expands nested
+ * objects in a payload into fields named by their path, e.g.
+ * `{power: {l1: 230.1}}` into the field `power_l1`.
+ * @module lib/flatten
+ */
+
+'use strict';
+
+/**
+ * @param {*} value
+ * @returns {boolean} True for plain objects (not arrays, Dates, Buffers...)
+ */
+function isPlainObject(value) {
+    return Object.prototype.toString.call(value) === '[object Object]' &&
+        (Object.getPrototypeOf(value) === Object.prototype || Object.getPrototypeOf(value) === null);
+}
+
+/**
+ * Expand nested objects (and optionally arrays) into path-named entries.
+ * Values nested deeper than `maxDepth` are kept as they are, so the write
+ * node reports them like any other object-valued field.
+ * @param {Array<[string, *]>} entries - Top-level key/value pairs
+ * @param {object} options
+ * @param {string} options.separator - Placed between the parts of a path
+ * @param {number} options.maxDepth - Levels of nesting to expand
+ * @param {boolean} options.arrays - Expand arrays by index (`phase_0`)
+ * @returns {Array<[string, *]>}
+ */
+function flattenEntries(entries, options) {
+    const result = [];
+    function visit(key, value, depth) {
+        const expand = depth < options.maxDepth &&
+            (isPlainObject(value) || (options.arrays && Array.isArray(value)));
+        if (!expand) {
+            result.push([key, value]);
+            return;
+        }
+        const children = Array.isArray(value) ? value.map((item, index) => [String(index), item]) : Object.entries(value);
+        for (const [childKey, childValue] of children) {
+            visit(`${key}${options.separator}${childKey}`, childValue, depth + 1);
+        }
+    }
+    for (const [key, value] of entries) {
+        visit(key, value, 0);
+    }
+    return result;
+}
+
+module.exports = { flattenEntries };
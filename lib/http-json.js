@@ -0,0 +1,74 @@
+/**
+ * Minimal JSON GET for the InfluxDB 3 management API (`/api/v3/configure/...`),
+ * which the client library does not wrap. Failures are shaped like the
+ * client's errors - HTTP errors carry `statusCode`, socket errors keep their
+ * `code` - so the same classification helpers apply to both.
+ * @module lib/http-json
+ */
+
+'use strict';
+
+const http = require('http');
+const https = require('https');
+
+/**
+ * GET a URL and parse the JSON response.
+ * @param {string} url
+ * @param {object} [options]
+ * @param {string} [options.token] - Sent as a Bearer token
+ * @param {object} [options.transportOptions] - TLS options (`ca`, `rejectUnauthorized`)
+ *   for https URLs, as passed to the client
+ * @param {number} [options.timeout=10000] - Request timeout in milliseconds
+ * @returns {Promise<*>} The parsed body (`null` for an empty body)
+ */
+function getJson(url, options) {
+    const opts = options || {};
+    return new Promise(function(resolve, reject) {
+        const target = new URL(url);
+        const transport = target.protocol === 'https:' ? https : http;
+        const headers = { accept: 'application/json' };
+        if (opts.token) {
+            headers.authorization = `Bearer ${opts.token}`;
+        }
+
+        const req = transport.request(target, {
+            method: 'GET',
+            headers,
+            timeout: opts.timeout || 10000,
+            ...(target.protocol === 'https:' ? opts.transportOptions : {})
+        }, function(res) {
+            const chunks = [];
+            res.on('data', (chunk) => chunks.push(chunk));
+            res.on('error', reject);
+            res.on('end', function() {
+                const text = Buffer.concat(chunks).toString('utf8');
+                if (res.statusCode < 200 || res.statusCode >= 300) {
+                    const error = new Error(text.trim() || `HTTP ${res.statusCode}`);
+                    error.statusCode = res.statusCode;
+                    error.headers = res.headers;
+                    reject(error);
+                    return;
+                }
+                if (text.trim() === '') {
+                    resolve(null);
+                    return;
+                }
+                try {
+                    resolve(JSON.parse(text));
+                } catch (error) {
+                    reject(new Error(`Invalid JSON response from ${target.pathname}: ${error.message}`));
+                }
+            });
+        });
+
+        req.on('timeout', function() {
+            const error = new Error(`Request to ${target.host} timed out`);
+            error.code = 'ETIMEDOUT';
+            req.destroy(error);
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+module.exports = { getJson };
@@ -57,4 +57,444 @@ function validateLineProtocol(lp) {
     return null;
 }
 
-module.exports = { validateLineProtocol };
+// The line-protocol integer types
+const INT64_MIN = -(2n ** 63n);
+const INT64_MAX = 2n ** 63n - 1n;
+const UINT64_MAX = 2n ** 64n - 1n;
+
+// Marks a string field value that stands in for an exact integer. Point only
+// stores JavaScript numbers, so integers beyond Number.MAX_SAFE_INTEGER pass
+// through it as a marked string and are restored after serialization. NUL
+// does not occur in real field values.
+const EXACT_INTEGER_MARK = '\u0000exact\u0000';
+const EXACT_INTEGER_PLACEHOLDER = new RegExp(`"${EXACT_INTEGER_MARK}(-?\\d+[iu])"`, 'g');
+
+/**
+ * Parse a value for a line-protocol integer (`i`) or unsigned (`u`) field
+ * without going through floating point.
+ * @param {bigint|number|string} value - A BigInt, an integral number or a string of digits
+ * @param {boolean} unsigned - Check against the unsigned instead of the signed 64-bit range
+ * @returns {{value: bigint}|{error: string}}
+ */
+function parseExactInteger(value, unsigned) {
+    let parsed;
+    if (typeof value === 'bigint') {
+        parsed = value;
+    } else if (typeof value === 'number' && Number.isInteger(value)) {
+        parsed = BigInt(value);
+    } else if (typeof value === 'string' && /^-?\d+$/.test(value)) {
+        parsed = BigInt(value);
+    } else {
+        return { error: `'${value}' is not an integer` };
+    }
+
+    if (unsigned && (parsed < 0n || parsed > UINT64_MAX)) {
+        return { error: `unsigned value ${parsed} is outside the range 0 to ${UINT64_MAX}` };
+    }
+    if (!unsigned && (parsed < INT64_MIN || parsed > INT64_MAX)) {
+        return { error: `integer value ${parsed} is outside the 64-bit range ${INT64_MIN} to ${INT64_MAX}` };
+    }
+    return { value: parsed };
+}
+
+/**
+ * String field value that carries an exact integer through Point.
+ * @param {bigint} value
+ * @param {boolean} unsigned
+ * @returns {string}
+ */
+function exactIntegerPlaceholder(value, unsigned) {
+    return `${EXACT_INTEGER_MARK}${value}${unsigned ? 'u' : 'i'}`;
+}
+
+/**
+ * Replace the exact-integer placeholders in serialized line protocol with the
+ * integers they carry.
+ * @param {string} lp
+ * @returns {string}
+ */
+function restoreExactIntegers(lp) {
+    return typeof lp === 'string' ? lp.replace(EXACT_INTEGER_PLACEHOLDER, '$1') : lp;
+}
+
+/**
+ * Unescape a measurement, tag key, tag value or field key: a backslash before
+ * one of `special` stands for that character, any other backslash is literal.
+ * @param {string} text
+ * @param {string} special
+ * @returns {string}
+ */
+function unescapeName(text, special) {
+    let result = '';
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\\' && i + 1 < text.length && special.includes(text[i + 1])) {
+            result += text[i + 1];
+            i++;
+        } else {
+            result += text[i];
+        }
+    }
+    return result;
+}
+
+/**
+ * Escape a measurement name for line protocol.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeMeasurement(text) {
+    return text.replace(/[, ]/g, '\\$&').replace(/\n/g, '\\n').replace(/\r/g, '\\r').replace(/\t/g, '\\t');
+}
+
+/**
+ * Escape a tag key, tag value or field key for line protocol.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeTag(text) {
+    return text.replace(/[,= ]/g, '\\$&').replace(/\n/g, '\\n').replace(/\r/g, '\\r').replace(/\t/g, '\\t');
+}
+
+/**
+ * Add tags to each line of a line protocol string. Tags a line already has
+ * are left as they are, so the line's own values take precedence. Comments
+ * and blank lines are kept unchanged.
+ * @param {string} text - Line protocol, one point per line
+ * @param {Object<string, string>} tags
+ * @returns {string}
+ */
+function addTagsToLineProtocol(text, tags) {
+    const keys = Object.keys(tags);
+    if (keys.length === 0) {
+        return text;
+    }
+    return text.split('\n').map(function(line) {
+        const trimmed = line.trim();
+        if (trimmed === '' || trimmed.startsWith('#')) {
+            return line;
+        }
+        // The series key (measurement and tags) ends at the first unescaped space
+        const start = line.length - line.trimStart().length;
+        let end = start;
+        const present = new Set();
+        let keyStart = -1;
+        while (end < line.length && line[end] !== ' ') {
+            if (line[end] === '\\' && end + 1 < line.length) {
+                end += 2;
+                continue;
+            }
+            if (line[end] === ',') {
+                keyStart = end + 1;
+            } else if (line[end] === '=' && keyStart !== -1) {
+                present.add(unescapeName(line.slice(keyStart, end), ',= '));
+                keyStart = -1;
+            }
+            end++;
+        }
+        const added = keys.filter((key) => !present.has(key))
+            .map((key) => `,${escapeTag(key)}=${escapeTag(tags[key])}`)
+            .join('');
+        return line.slice(0, end) + added + line.slice(end);
+    }).join('\n');
+}
+
+// Spellings of the line-protocol boolean values
+const BOOLEAN_VALUES = {
+    t: true, T: true, true: true, True: true, TRUE: true,
+    f: false, F: false, false: false, False: false, FALSE: false
+};
+
+const FLOAT_VALUE = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+/**
+ * Type an unquoted field value.
+ * @param {string} raw
+ * @param {string} key - Field name, for error messages
+ * @returns {{type: string, value: *}|{error: string}}
+ */
+function parseFieldValue(raw, key) {
+    if (raw === '') {
+        return { error: `Field '${key}' has no value` };
+    }
+    if (/^[-+]?\d+[iu]$/.test(raw)) {
+        const unsigned = raw.endsWith('u');
+        const digits = raw.slice(0, -1).replace(/^\+/, '');
+        const parsed = parseExactInteger(digits, unsigned);
+        if (parsed.error) {
+            return { error: `Invalid value '${raw}' for field '${key}': ${parsed.error}` };
+        }
+        return { type: unsigned ? 'uinteger' : 'integer', value: parsed.value };
+    }
+    if (Object.prototype.hasOwnProperty.call(BOOLEAN_VALUES, raw)) {
+        return { type: 'boolean', value: BOOLEAN_VALUES[raw] };
+    }
+    if (FLOAT_VALUE.test(raw)) {
+        const value = Number(raw);
+        if (!isFinite(value)) {
+            return { error: `Invalid value '${raw}' for field '${key}': outside the float range` };
+        }
+        return { type: 'float', value };
+    }
+    return {
+        error: `Invalid value '${raw}' for field '${key}'. Expected a number, an integer (42i), ` +
+            'an unsigned integer (42u), a boolean or a "double-quoted" string'
+    };
+}
+
+/**
+ * Parse one line of line protocol.
+ * @param {string} line - Without the newline, leading or trailing whitespace
+ * @returns {{point: object}|{error: {column: number, message: string}}}
+ *   `column` is 0-based here
+ */
+function parseLine(line) {
+    let i = 0;
+    const fail = (column, message) => ({ error: { column, message } });
+
+    // Read up to the first unescaped character of `stops`; returns the raw text
+    function readUntil(stops) {
+        const start = i;
+        while (i < line.length && !stops.includes(line[i])) {
+            i += line[i] === '\\' && i + 1 < line.length ? 2 : 1;
+        }
+        return line.slice(start, i);
+    }
+
+    // Measurement
+    const measurement = unescapeName(readUntil(', '), ', ');
+    if (measurement === '') {
+        return fail(0, 'Missing measurement name');
+    }
+    const point = { measurement, tags: {}, fields: {}, timestamp: undefined };
+
+    // Tag set
+    while (line[i] === ',') {
+        i++;
+        const keyStart = i;
+        const key = unescapeName(readUntil('=, '), ',= ');
+        if (key === '') {
+            return fail(keyStart, 'Empty tag key');
+        }
+        if (line[i] !== '=') {
+            return fail(i, `Tag '${key}' has no value (expected '=')`);
+        }
+        i++;
+        const valueStart = i;
+        const value = unescapeName(readUntil(', '), ',= ');
+        if (value === '') {
+            return fail(valueStart, `Tag '${key}' has an empty value`);
+        }
+        point.tags[key] = value;
+    }
+
+    if (line[i] !== ' ') {
+        return fail(i, 'Missing field set (expected a space after the measurement and tags)');
+    }
+    while (line[i] === ' ') {
+        i++;
+    }
+
+    // Field set
+    for (;;) {
+        const keyStart = i;
+        const key = unescapeName(readUntil('=, '), ',= ');
+        if (key === '') {
+            return fail(keyStart, 'Empty field key');
+        }
+        if (line[i] !== '=') {
+            return fail(i, `Field '${key}' has no value (expected '=')`);
+        }
+        i++;
+
+        const valueStart = i;
+        if (line[i] === '"') {
+            // Inside strings only \" and \\ are escapes
+            let value = '';
+            let closed = false;
+            i++;
+            while (i < line.length) {
+                if (line[i] === '\\' && (line[i + 1] === '"' || line[i + 1] === '\\')) {
+                    value += line[i + 1];
+                    i += 2;
+                } else if (line[i] === '"') {
+                    closed = true;
+                    i++;
+                    break;
+                } else {
+                    value += line[i];
+                    i++;
+                }
+            }
+            if (!closed) {
+                return fail(valueStart, `Unterminated string value for field '${key}'`);
+            }
+            point.fields[key] = { type: 'string', value };
+        } else {
+            const field = parseFieldValue(readUntil(', '), key);
+            if (field.error) {
+                return fail(valueStart, field.error);
+            }
+            point.fields[key] = field;
+        }
+
+        if (line[i] === ',') {
+            i++;
+            continue;
+        }
+        if (i < line.length && line[i] !== ' ') {
+            return fail(i, `Unexpected character '${line[i]}' after the value of field '${key}'`);
+        }
+        break;
+    }
+
+    // Timestamp
+    while (line[i] === ' ') {
+        i++;
+    }
+    if (i < line.length) {
+        const timestampStart = i;
+        const timestamp = readUntil(' ');
+        if (!/^-?\d+$/.test(timestamp)) {
+            return fail(timestampStart, `Invalid timestamp '${timestamp}' (expected an integer)`);
+        }
+        const parsed = parseExactInteger(timestamp, false);
+        if (parsed.error) {
+            return fail(timestampStart, `Invalid timestamp: ${parsed.error}`);
+        }
+        point.timestamp = timestamp;
+        while (line[i] === ' ') {
+            i++;
+        }
+        if (i < line.length) {
+            return fail(i, 'Unexpected text after the timestamp');
+        }
+    }
+
+    return { point };
+}
+
+/**
+ * Parse line protocol into points. Blank lines and `#` comment lines are
+ * skipped; every other line is checked against the full syntax - escaping,
+ * quoting, field value types and timestamps.
+ *
+ * Integer and unsigned field values are BigInts so that no digit is lost.
+ * Timestamps are kept as digit strings, since their unit depends on the
+ * write precision.
+ * @param {string} text
+ * @returns {{points: Array<{line: number, measurement: string, tags: object, fields: object, timestamp: (string|undefined)}>,
+ *   errors: Array<{line: number, column: number, message: string, text: string}>}}
+ *   `fields` maps each name to `{type, value}` with type float, integer,
+ *   uinteger, string or boolean. Line and column numbers start at 1.
+ */
+function parseLineProtocol(text) {
+    const points = [];
+    const errors = [];
+    const lines = text.split('\n');
+    for (let n = 0; n < lines.length; n++) {
+        const line = lines[n].replace(/\r$/, '');
+        const indent = line.length - line.trimStart().length;
+        const content = line.trim();
+        if (content === '' || content.startsWith('#')) {
+            continue;
+        }
+        const result = parseLine(content);
+        if (result.error) {
+            errors.push({
+                line: n + 1,
+                column: indent + result.error.column + 1,
+                message: result.error.message,
+                text: line
+            });
+        } else {
+            points.push({ line: n + 1, ...result.point });
+        }
+    }
+    return { points, errors };
+}
+
+/**
+ * Convert a parsed point into the object payload the write node accepts, so
+ * that writing it again reproduces the same line.
+ *
+ * Integers are numbers while they are safe and digit strings beyond that,
+ * listed in `integers`/`uintegers` either way. String values that the write
+ * node would otherwise read as integers (`"42i"`) are listed in `strings`.
+ * The timestamp stays a digit string in the precision of the source.
+ * @param {{measurement: string, tags: object, fields: object, timestamp: (string|undefined)}} point -
+ *   As returned by parseLineProtocol
+ * @returns {object} `{measurement, tags, fields, integers?, uintegers?, strings?, timestamp?}`
+ */
+function pointToPayload(point) {
+    const payload = { measurement: point.measurement, tags: { ...point.tags }, fields: {} };
+    const lists = { integer: [], uinteger: [], string: [] };
+    for (const [name, field] of Object.entries(point.fields)) {
+        if (field.type === 'integer' || field.type === 'uinteger') {
+            const safe = field.value >= BigInt(Number.MIN_SAFE_INTEGER) && field.value <= BigInt(Number.MAX_SAFE_INTEGER);
+            payload.fields[name] = safe ? Number(field.value) : field.value.toString();
+            lists[field.type].push(name);
+        } else {
+            payload.fields[name] = field.value;
+            if (field.type === 'string' && /^-?\d+[iu]$/.test(field.value)) {
+                lists.string.push(name);
+            }
+        }
+    }
+    if (lists.integer.length > 0) {
+        payload.integers = lists.integer;
+    }
+    if (lists.uinteger.length > 0) {
+        payload.uintegers = lists.uinteger;
+    }
+    if (lists.string.length > 0) {
+        payload.strings = lists.string;
+    }
+    if (point.timestamp !== undefined) {
+        payload.timestamp = point.timestamp;
+    }
+    return payload;
+}
+
+/**
+ * Describe parse errors by the position of the first one.
+ * @param {Array<{line: number, column: number, message: string}>} errors - From parseLineProtocol
+ * @returns {string}
+ */
+function parseErrorMessage(errors) {
+    const first = errors[0];
+    const more = errors.length > 1 ? ` (and ${errors.length - 1} more invalid line(s))` : '';
+    return `Invalid line protocol at line ${first.line}, column ${first.column}: ${first.message}${more}`;
+}
+
+/**
+ * Validate line protocol with the full parser. Same contract as
+ * validateLineProtocol: null when valid, otherwise a message naming the line
+ * and column of the first problem.
+ * @param {string} lp - Trimmed line protocol string
+ * @returns {string|null}
+ */
+function validateLineProtocolStrict(lp) {
+    const basic = validateLineProtocol(lp);
+    if (basic) {
+        return basic;
+    }
+    const { errors } = parseLineProtocol(lp);
+    if (errors.length === 0) {
+        return null;
+    }
+    return `${parseErrorMessage(errors)}. Received: ${preview(errors[0].text.trim())}`;
+}
+
+module.exports = {
+    validateLineProtocol,
+    validateLineProtocolStrict,
+    parseLineProtocol,
+    parseErrorMessage,
+    pointToPayload,
+    escapeMeasurement,
+    escapeTag,
+    addTagsToLineProtocol,
+    parseExactInteger,
+    exactIntegerPlaceholder,
+    restoreExactIntegers
+};
@@ -0,0 +1,79 @@
+/**
+ * Pure helpers for the write node's mapping table, which builds the point
+ * from message properties instead of a prepared payload: each row takes a
+ * value from a typed input and writes it as a tag, a typed field or the
+ * timestamp.
+ * @module lib/mapping
+ */
+
+'use strict';
+
+const { FIELD_TYPES, coerceFieldValue } = require('./field-schema');
+
+const MAPPING_TYPES = ['tag'].concat(FIELD_TYPES, ['timestamp']);
+
+/**
+ * Check the mapping table of the write node.
+ * @param {Array<{key: string, type: string, source: string, sourceType: string}>} entries
+ * @returns {Array<{key: string, type: string, source: string, sourceType: string}>}
+ *   The entries with trimmed keys
+ * @throws {Error} When an entry has no key (other than the timestamp) or an unknown type
+ */
+function parseMappings(entries) {
+    return (entries || []).map(function(entry, index) {
+        const key = typeof entry.key === 'string' ? entry.key.trim() : '';
+        if (!MAPPING_TYPES.includes(entry.type)) {
+            throw new Error(
+                `Mapping ${index + 1} has unknown type '${entry.type}'. Expected one of: ${MAPPING_TYPES.join(', ')}`
+            );
+        }
+        if (!key && entry.type !== 'timestamp') {
+            throw new Error(`Mapping ${index + 1} needs a tag or field name`);
+        }
+        return { key, type: entry.type, source: entry.source, sourceType: entry.sourceType || 'msg' };
+    });
+}
+
+/**
+ * Build a write node payload from evaluated mappings. Sources that evaluate to
+ * null or undefined are left out, so optional values need no special casing.
+ * @param {Array<{key: string, type: string, value: *}>} values - Mappings with
+ *   their evaluated source values
+ * @returns {{payload: object}|{error: string}} `{tags, fields, integers,
+ *   uintegers, strings, timestamp}`; an error when a value cannot be written
+ *   as its field type
+ */
+function buildMappedPayload(values) {
+    const payload = { tags: {}, fields: {}, integers: [], uintegers: [], strings: [] };
+    for (const { key, type, value } of values) {
+        if (value === null || value === undefined) {
+            continue;
+        }
+        if (type === 'timestamp') {
+            payload.timestamp = value;
+            continue;
+        }
+        if (type === 'tag') {
+            if (typeof value === 'object') {
+                return { error: `Mapped tag '${key}' must be a string, number or boolean, not ${Array.isArray(value) ? 'an array' : 'an object'}` };
+            }
+            payload.tags[key] = String(value);
+            continue;
+        }
+        const coerced = coerceFieldValue(value, type);
+        if (coerced.error) {
+            return { error: `Mapped field '${key}' cannot be written as ${type}: ${coerced.error}` };
+        }
+        payload.fields[key] = coerced.value;
+        if (type === 'integer') {
+            payload.integers.push(key);
+        } else if (type === 'uinteger') {
+            payload.uintegers.push(key);
+        } else if (type === 'string') {
+            payload.strings.push(key);
+        }
+    }
+    return { payload };
+}
+
+module.exports = { MAPPING_TYPES, parseMappings, buildMappedPayload };
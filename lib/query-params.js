@@ -0,0 +1,117 @@
+/**
+ * Pure helpers for parameterized queries: finding `$name` placeholders in a
+ * query and checking the values bound to them before they reach the client.
+ * @module lib/query-params
+ */
+
+'use strict';
+
+/**
+ * Find the named placeholders (`$room`, `$since`) used in a SQL or InfluxQL
+ * query. Text inside quoted strings, quoted identifiers and comments is
+ * skipped, so `'$5 off'` or `-- $todo` are not treated as placeholders.
+ * @param {string} query
+ * @returns {string[]} Placeholder names (without `$`), in order of first use
+ */
+function findPlaceholders(query) {
+    const names = [];
+    let i = 0;
+    while (i < query.length) {
+        const ch = query[i];
+        if (ch === '\'' || ch === '"') {
+            // Quoted string/identifier; a doubled quote is an escaped quote
+            i++;
+            while (i < query.length) {
+                if (query[i] === ch) {
+                    if (query[i + 1] === ch) {
+                        i += 2;
+                        continue;
+                    }
+                    break;
+                }
+                i++;
+            }
+            i++;
+        } else if (ch === '-' && query[i + 1] === '-') {
+            const end = query.indexOf('\n', i);
+            i = end === -1 ? query.length : end + 1;
+        } else if (ch === '/' && query[i + 1] === '*') {
+            const end = query.indexOf('*/', i + 2);
+            i = end === -1 ? query.length : end + 2;
+        } else if (ch === '$') {
+            const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(query.slice(i + 1));
+            if (match) {
+                if (!names.includes(match[0])) {
+                    names.push(match[0]);
+                }
+                i += 1 + match[0].length;
+            } else {
+                i++;
+            }
+        } else {
+            i++;
+        }
+    }
+    return names;
+}
+
+/**
+ * Check and normalize a single bound value. The client accepts strings,
+ * numbers and booleans; Date objects are converted to RFC 3339 strings so they
+ * can be compared with `time` columns.
+ * @param {string} name - Parameter name, for error messages
+ * @param {*} value
+ * @returns {string|number|boolean}
+ * @throws {Error} When the value cannot be bound
+ */
+function normalizeParamValue(name, value) {
+    if (typeof value === 'string' || typeof value === 'boolean') {
+        return value;
+    }
+    if (typeof value === 'number') {
+        if (!isFinite(value)) {
+            throw new Error(`Query parameter '${name}' is ${value} - only finite numbers can be bound`);
+        }
+        return value;
+    }
+    if (value instanceof Date) {
+        if (isNaN(value.getTime())) {
+            throw new Error(`Query parameter '${name}' is an invalid Date`);
+        }
+        return value.toISOString();
+    }
+    const typeName = value === null
+        ? 'null'
+        : Array.isArray(value) ? 'Array' : typeof value;
+    throw new Error(
+        `Query parameter '${name}' has unsupported type '${typeName}'. ` +
+        'Expected a string, number, boolean or Date.'
+    );
+}
+
+/**
+ * Validate the parameters for a query: every placeholder must be bound and
+ * every bound value must be of a supported type.
+ * @param {string} query
+ * @param {object} params - Parameter values keyed by name (without `$`)
+ * @returns {object} Normalized parameters, ready for the client's `params` option
+ * @throws {Error} When a placeholder is unbound or a value has an unsupported type
+ */
+function bindParams(query, params) {
+    const normalized = {};
+    for (const [name, value] of Object.entries(params)) {
+        normalized[name] = normalizeParamValue(name, value);
+    }
+
+    const unbound = findPlaceholders(query).filter((name) => !Object.hasOwn(normalized, name));
+    if (unbound.length > 0) {
+        throw new Error(
+            `Query placeholder(s) ${unbound.map((n) => '$' + n).join(', ')} have no value. ` +
+            'Set them in msg.params or the node\'s Parameters list.'
+        );
+    }
+
+    return normalized;
+}
+
+module.exports = { findPlaceholders, bindParams };
@@ -0,0 +1,96 @@
+/**
+ * Pure retry helpers for writes: deciding whether a failed write is worth
+ * retrying and how long to wait before the next attempt.
+ * @module lib/retry
+ */
+
+'use strict';
+
+// Socket-level failures that usually clear up on their own (server restarting,
+// flaky uplink). ENOTFOUND is deliberately absent: a host that does not resolve
+// is almost always a configuration mistake.
+const RETRYABLE_NETWORK_CODES = new Set([
+    'ECONNREFUSED',
+    'ECONNRESET',
+    'ECONNABORTED',
+    'ETIMEDOUT',
+    'EPIPE',
+    'EHOSTUNREACH',
+    'ENETUNREACH',
+    'EAI_AGAIN'
+]);
+
+/**
+ * Whether a failed write may succeed if sent again unchanged.
+ * Retryable: HTTP 429 and 5xx (except 501/505), request timeouts and transient
+ * network errors. Everything else - notably 400 line-protocol errors and
+ * 401/403 auth errors - is permanent.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+    if (!error) {
+        return false;
+    }
+    if (typeof error.statusCode === 'number') {
+        const code = error.statusCode;
+        return code === 429 || (code >= 500 && code !== 501 && code !== 505);
+    }
+    if (error.name === 'RequestTimedOutError') {
+        return true;
+    }
+    return typeof error.code === 'string' && RETRYABLE_NETWORK_CODES.has(error.code);
+}
+
+/**
+ * Parse a Retry-After header value (delay in seconds, or an HTTP date).
+ * @param {string|string[]|undefined} value
+ * @param {number} [now=Date.now()]
+ * @returns {number|null} Delay in milliseconds, or null when absent/invalid
+ */
+function parseRetryAfter(value, now) {
+    if (Array.isArray(value)) {
+        value = value[0];
+    }
+    if (typeof value !== 'string' || value.trim() === '') {
+        return null;
+    }
+    const trimmed = value.trim();
+    if (/^\d+$/.test(trimmed)) {
+        return parseInt(trimmed, 10) * 1000;
+    }
+    const date = Date.parse(trimmed);
+    if (isNaN(date)) {
+        return null;
+    }
+    return Math.max(0, date - (now === undefined ? Date.now() : now));
+}
+
+/**
+ * Delay before the next attempt. A Retry-After header on the error wins;
+ * otherwise the delay grows exponentially from the initial delay, plus a
+ * random jitter so that many writers don't retry in lockstep. Either way the
+ * delay is capped at `maxDelay`, so a server asking for hours doesn't park
+ * the message that long.
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @param {{initialDelay: number, multiplier: number, jitter: number, maxDelay?: number}} options
+ *   Delays in ms; no cap when `maxDelay` is missing or 0
+ * @param {Error} [error] - The error from the failed attempt
+ * @param {function(): number} [random=Math.random]
+ * @returns {number} Delay in milliseconds
+ */
+function retryDelay(attempt, options, error, random) {
+    const cap = (delay) => (options.maxDelay > 0 ? Math.min(delay, options.maxDelay) : delay);
+    const headers = error && error.headers;
+    if (headers) {
+        const retryAfter = parseRetryAfter(headers['retry-after']);
+        if (retryAfter !== null) {
+            return cap(retryAfter);
+        }
+    }
+    const base = options.initialDelay * Math.pow(options.multiplier, attempt - 1);
+    const jitter = options.jitter > 0 ? Math.round((random || Math.random)() * options.jitter) : 0;
+    return cap(Math.round(base) + jitter);
+}
+
+module.exports = { isRetryableError, parseRetryAfter, retryDelay };
@@ -0,0 +1,114 @@
+/**
+ * Pure helpers for reading table schemas from InfluxDB 3's
+ * `information_schema.columns`: which columns are tags, which are fields and
+ * what line-protocol type each field has.
+ * @module lib/schema
+ */
+
+'use strict';
+
+// Lists every column of every table (measurement) in the database
+const COLUMNS_QUERY =
+    'SELECT table_name, column_name, data_type FROM information_schema.columns ' +
+    'WHERE table_schema = \'iox\' ORDER BY table_name, column_name';
+
+// Arrow data types of field columns and the line-protocol types they hold
+const FIELD_TYPES = {
+    Float64: 'float',
+    Int64: 'integer',
+    UInt64: 'uinteger',
+    Utf8: 'string',
+    LargeUtf8: 'string',
+    Utf8View: 'string',
+    Boolean: 'boolean'
+};
+
+/**
+ * Classify a column by its Arrow data type. Tags are stored as dictionary
+ * encoded strings and the timestamp as `time`.
+ * @param {string} name - Column name
+ * @param {string} dataType - `data_type` from information_schema.columns
+ * @returns {{name: string, kind: string, type: string|undefined}} `kind` is
+ *   tag, field or time; `type` is the line-protocol type of a field (float,
+ *   integer, uinteger, string, boolean) and undefined for anything unknown
+ */
+function describeColumn(name, dataType) {
+    const type = String(dataType);
+    if (type.startsWith('Dictionary(')) {
+        return { name, kind: 'tag', type: undefined };
+    }
+    if (name === 'time' && type.startsWith('Timestamp(')) {
+        return { name, kind: 'time', type: undefined };
+    }
+    return { name, kind: 'field', type: FIELD_TYPES[type] };
+}
+
+/**
+ * Group `information_schema.columns` rows by measurement.
+ * @param {Array<{table_name: string, column_name: string, data_type: string}>} rows
+ * @returns {Array<{name: string, tags: string[], fields: Array<{name: string, type: string|undefined}>}>}
+ *   Measurements sorted by name, with their tags and fields sorted by name
+ */
+function groupColumns(rows) {
+    const measurements = new Map();
+    for (const row of rows) {
+        if (!measurements.has(row.table_name)) {
+            measurements.set(row.table_name, { name: row.table_name, tags: [], fields: [] });
+        }
+        const measurement = measurements.get(row.table_name);
+        const column = describeColumn(row.column_name, row.data_type);
+        if (column.kind === 'tag') {
+            measurement.tags.push(column.name);
+        } else if (column.kind === 'field') {
+            measurement.fields.push({ name: column.name, type: column.type });
+        }
+    }
+    const byName = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+    return Array.from(measurements.values())
+        .sort((a, b) => byName(a.name, b.name))
+        .map((m) => ({
+            name: m.name,
+            tags: m.tags.sort(byName),
+            fields: m.fields.sort((a, b) => byName(a.name, b.name))
+        }));
+}
+
+/**
+ * Turn grouped measurements into schema table entries (see lib/field-schema),
+ * leaving out fields of a type line protocol cannot write.
+ * @param {Array<{name: string, tags: string[], fields: Array<{name: string, type: string|undefined}>}>} measurements
+ * @returns {Array<{measurement: string, key: string, type: string}>}
+ */
+function schemaEntries(measurements) {
+    const entries = [];
+    for (const measurement of measurements) {
+        for (const tag of measurement.tags) {
+            entries.push({ measurement: measurement.name, key: tag, type: 'tag' });
+        }
+        for (const field of measurement.fields) {
+            if (field.type) {
+                entries.push({ measurement: measurement.name, key: field.name, type: field.type });
+            }
+        }
+    }
+    return entries;
+}
+
+// Wording of the type-conflict errors of the InfluxDB 3 write endpoints
+const SCHEMA_CONFLICT = /schema conflict|type conflict|column type|already exists as type|expected type \S+,? but got/i;
+
+/**
+ * Whether a write error was caused by a value whose type does not match the
+ * existing column.
+ * @param {Error} error - A write error, possibly with per-line `lineErrors`
+ * @returns {boolean}
+ */
+function isSchemaConflict(error) {
+    if (!error) {
+        return false;
+    }
+    const messages = [error.message].concat((error.lineErrors || []).map((le) => le.errorMessage));
+    return messages.some((message) => typeof message === 'string' && SCHEMA_CONFLICT.test(message));
+}
+
+module.exports = { COLUMNS_QUERY, describeColumn, groupColumns, schemaEntries, isSchemaConflict };
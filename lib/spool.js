@@ -0,0 +1,158 @@
+/**
+ * Disk-backed FIFO of undelivered writes, used by the write node to
+ * store-and-forward line protocol while InfluxDB is unreachable.
+ *
+ * Each entry is one JSON file `<sequence>-<lineCount>.json` holding
+ * `{ database, lineProtocol }`, plus `precision` when the write declared
+ * one. Keeping the line count in the file name lets the backlog depth be
+ * restored after a restart without reading every file.
+ * Files are written to a temporary name and renamed, so a crash never leaves
+ * a half-written entry behind.
+ *
+ * File operations are synchronous: the spool only sees traffic while the
+ * server is unreachable, and synchronous calls keep the entries in order
+ * without any extra locking.
+ * @module lib/spool
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ENTRY_FILE = /^(\d+)-(\d+)\.json$/;
+
+/**
+ * Open (creating if needed) a spool directory.
+ * @param {string} dir - Directory to keep the entries in
+ * @param {object} options
+ * @param {number} options.maxBytes - Maximum total size of all entries
+ * @param {string} [options.overflow='drop-oldest'] - When full: 'drop-oldest'
+ *   evicts the oldest entries to make room, 'drop-newest' rejects the new entry
+ * @param {function(string): void} [options.onDiscard] - Called with a reason when
+ *   an unreadable entry is skipped
+ * @returns {object} The spool
+ */
+function createSpool(dir, options) {
+    const maxBytes = options.maxBytes;
+    const overflow = options.overflow === 'drop-newest' ? 'drop-newest' : 'drop-oldest';
+    const onDiscard = options.onDiscard || function() {};
+
+    fs.mkdirSync(dir, { recursive: true });
+
+    /** @type {Array<{file: string, seq: number, lines: number, bytes: number}>} */
+    const entries = [];
+    for (const name of fs.readdirSync(dir)) {
+        const match = ENTRY_FILE.exec(name);
+        if (match) {
+            entries.push({
+                file: path.join(dir, name),
+                seq: parseInt(match[1], 10),
+                lines: parseInt(match[2], 10),
+                bytes: fs.statSync(path.join(dir, name)).size
+            });
+        } else if (name.endsWith('.tmp')) {
+            // Left over from a write interrupted by a crash
+            fs.rmSync(path.join(dir, name), { force: true });
+        }
+    }
+    entries.sort((a, b) => a.seq - b.seq);
+
+    let nextSeq = entries.length > 0 ? entries[entries.length - 1].seq + 1 : 1;
+    let totalBytes = entries.reduce((sum, e) => sum + e.bytes, 0);
+    let totalLines = entries.reduce((sum, e) => sum + e.lines, 0);
+
+    function removeOldest() {
+        const entry = entries.shift();
+        fs.rmSync(entry.file, { force: true });
+        totalBytes -= entry.bytes;
+        totalLines -= entry.lines;
+        return entry;
+    }
+
+    return {
+        /** @returns {boolean} */
+        isEmpty() {
+            return entries.length === 0;
+        },
+
+        /**
+         * Backlog depth.
+         * @returns {{entries: number, lines: number, bytes: number}}
+         */
+        size() {
+            return { entries: entries.length, lines: totalLines, bytes: totalBytes };
+        },
+
+        /**
+         * Append an undelivered write.
+         * @param {string} database
+         * @param {string} lineProtocol
+         * @param {string} [precision] - Timestamp precision of the line protocol
+         * @returns {{stored: boolean, evictedLines: number}} `stored` is false when the
+         *   entry was rejected because the spool is full (or the entry alone exceeds it)
+         */
+        append(database, lineProtocol, precision) {
+            const data = JSON.stringify({ database, lineProtocol, precision });
+            const bytes = Buffer.byteLength(data);
+            const lines = lineProtocol.split('\n').length;
+
+            if (bytes > maxBytes) {
+                return { stored: false, evictedLines: 0 };
+            }
+            let evictedLines = 0;
+            if (totalBytes + bytes > maxBytes) {
+                if (overflow === 'drop-newest') {
+                    return { stored: false, evictedLines: 0 };
+                }
+                while (entries.length > 0 && totalBytes + bytes > maxBytes) {
+                    evictedLines += removeOldest().lines;
+                }
+            }
+
+            const seq = nextSeq++;
+            const file = path.join(dir, `${String(seq).padStart(12, '0')}-${lines}.json`);
+            fs.writeFileSync(file + '.tmp', data);
+            fs.renameSync(file + '.tmp', file);
+            entries.push({ file, seq, lines, bytes });
+            totalBytes += bytes;
+            totalLines += lines;
+            return { stored: true, evictedLines };
+        },
+
+        /**
+         * Read the oldest entry without removing it. Unreadable entries are
+         * removed (reported through `onDiscard`) and skipped.
+         * @returns {{database: string, lineProtocol: string, precision: (string|undefined)}|null}
+         */
+        peek() {
+            while (entries.length > 0) {
+                const entry = entries[0];
+                try {
+                    const data = JSON.parse(fs.readFileSync(entry.file, 'utf8'));
+                    if (typeof data.database === 'string' && typeof data.lineProtocol === 'string') {
+                        return {
+                            database: data.database,
+                            lineProtocol: data.lineProtocol,
+                            precision: typeof data.precision === 'string' ? data.precision : undefined
+                        };
+                    }
+                    onDiscard(`${entry.file} does not contain a spooled write`);
+                } catch (error) {
+                    onDiscard(`${entry.file} could not be read: ${error.message}`);
+                }
+                removeOldest();
+            }
+            return null;
+        },
+
+        /** Remove the oldest entry (after it has been delivered). */
+        shift() {
+            if (entries.length > 0) {
+                removeOldest();
+            }
+        }
+    };
+}
+
+module.exports = { createSpool };
@@ -0,0 +1,55 @@
+/**
+ * Pure helper for the connection's self-monitoring, which periodically
+ * writes the counters of each write node to InfluxDB so they can be graphed
+ * and alerted on like any other data.
+ * @module lib/telemetry
+ */
+
+'use strict';
+
+const { escapeMeasurement, escapeTag } = require('./line-protocol');
+
+/**
+ * Build the telemetry point of one write node.
+ * @param {string} measurement
+ * @param {Object<string, string>} tags - Tags with an empty or missing value are left out
+ * @param {object} snapshot - The node's counters, from the write metrics snapshot()
+ * @param {{buffered: number, spooled: number}} queue - Lines waiting in the batch
+ *   buffer and in the offline spool
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {string} One line of line protocol with millisecond precision
+ */
+function telemetryLine(measurement, tags, snapshot, queue, timestamp) {
+    const tagText = Object.keys(tags)
+        .filter((key) => tags[key] !== undefined && tags[key] !== null && tags[key] !== '')
+        .sort()
+        .map((key) => `,${escapeTag(key)}=${escapeTag(String(tags[key]))}`)
+        .join('');
+    const counters = {
+        messages: snapshot.messages,
+        points: snapshot.points,
+        writes: snapshot.writes,
+        bytes_raw: snapshot.bytes.raw,
+        bytes_sent: snapshot.bytes.sent,
+        errors: snapshot.errors.total,
+        rejected_lines: snapshot.rejectedLines,
+        skipped_items: snapshot.skippedItems,
+        suppressed_lines: snapshot.suppressedLines,
+        spooled_messages: snapshot.spooled,
+        connection_errors: snapshot.connectionErrors,
+        reconnects: snapshot.reconnects,
+        queue_buffered_lines: queue.buffered,
+        queue_spooled_lines: queue.spooled
+    };
+    const fields = Object.keys(counters).map((key) => `${key}=${counters[key]}i`);
+    // Latency is left out until the node has written something
+    for (const key of ['p50', 'p95', 'p99', 'max']) {
+        const value = snapshot.latencyMs[key];
+        if (value !== null && value !== undefined) {
+            fields.push(`latency_${key}_ms=${value}`);
+        }
+    }
+    return `${escapeMeasurement(measurement)}${tagText} ${fields.join(',')} ${timestamp}`;
+}
+
+module.exports = { telemetryLine };
@@ -0,0 +1,161 @@
+/**
+ * Pure helpers for writing timestamps at a declared precision (s, ms, us, ns).
+ * Conversions work on decimal strings rather than JavaScript numbers, so
+ * nanosecond timestamps beyond Number.MAX_SAFE_INTEGER keep every digit.
+ * @module lib/timestamp
+ */
+
+'use strict';
+
+const PRECISIONS = ['s', 'ms', 'us', 'ns'];
+
+// Number of fractional-second digits of each precision
+const PRECISION_DIGITS = { s: 0, ms: 3, us: 6, ns: 9 };
+
+const PRECISION_ALIASES = {
+    second: 's',
+    seconds: 's',
+    millisecond: 'ms',
+    milliseconds: 'ms',
+    microsecond: 'us',
+    microseconds: 'us',
+    nanosecond: 'ns',
+    nanoseconds: 'ns'
+};
+
+/**
+ * Parse a precision setting. Case-insensitive; the long unit names are
+ * accepted too.
+ * @param {*} value
+ * @returns {string|undefined} s, ms, us or ns; undefined when blank
+ * @throws {Error} When the value is not a known precision
+ */
+function parsePrecision(value) {
+    if (value === undefined || value === null || (typeof value === 'string' && value.trim() === '')) {
+        return undefined;
+    }
+    const text = String(value).trim().toLowerCase();
+    if (PRECISIONS.includes(text)) {
+        return text;
+    }
+    if (PRECISION_ALIASES[text]) {
+        return PRECISION_ALIASES[text];
+    }
+    throw new Error(`Invalid precision '${value}'. Expected one of: ${PRECISIONS.join(', ')}`);
+}
+
+/**
+ * Move the decimal point of a non-negative decimal string and drop whatever
+ * fraction is left.
+ * @param {string} text - Digits with an optional fraction, e.g. `1700000000.5`
+ * @param {number} digits - Places to move the point right (negative: left)
+ * @returns {string} Integer digits
+ */
+function shiftDecimal(text, digits) {
+    const [intPart, fracPart = ''] = text.split('.');
+    let result;
+    if (digits >= 0) {
+        result = intPart + fracPart.padEnd(digits, '0').slice(0, digits);
+    } else {
+        result = intPart.slice(0, Math.max(0, intPart.length + digits));
+    }
+    return result.replace(/^0+(?=\d)/, '') || '0';
+}
+
+/**
+ * Exact decimal representation of a numeric timestamp. Negative values are
+ * times before 1970.
+ * @param {number|bigint|string} value - A number, BigInt or signed digit string
+ * @returns {string|null} Null when the value is not a number
+ */
+function decimalString(value) {
+    if (typeof value === 'bigint') {
+        return value.toString();
+    }
+    if (typeof value === 'number') {
+        if (!isFinite(value)) {
+            return null;
+        }
+        if (Number.isInteger(value)) {
+            // Every digit of the double, without exponent notation
+            return BigInt(value).toString();
+        }
+        const text = String(value);
+        return text.includes('e') ? value.toFixed(20) : text;
+    }
+    if (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim())) {
+        return value.trim();
+    }
+    return null;
+}
+
+/**
+ * Convert a numeric timestamp between precisions. A fraction of the target
+ * unit is dropped, so negative timestamps are truncated towards 1970.
+ * @param {number|bigint|string} value - Timestamp in `from` units
+ * @param {string} from - Precision of `value`
+ * @param {string} to - Precision to convert to
+ * @returns {string|null} Integer timestamp in `to` units, or null when `value`
+ *   is not a number
+ */
+function convertTimestamp(value, from, to) {
+    const text = decimalString(value);
+    if (text === null) {
+        return null;
+    }
+    const negative = text.startsWith('-');
+    const converted = shiftDecimal(negative ? text.slice(1) : text, PRECISION_DIGITS[to] - PRECISION_DIGITS[from]);
+    return negative && converted !== '0' ? '-' + converted : converted;
+}
+
+/**
+ * Whether a numeric timestamp has a non-zero fraction, which writing it as an
+ * integer in its own unit would drop.
+ * @param {number|bigint|string} value
+ * @returns {boolean} False for whole numbers and for values that are not numbers
+ */
+function hasFraction(value) {
+    const text = decimalString(value);
+    return text !== null && /\.\d*[1-9]/.test(text);
+}
+
+/**
+ * Express a Date at a precision.
+ * @param {Date} date
+ * @param {string} to
+ * @returns {string|null} Integer timestamp, or null for an invalid Date
+ */
+function dateToTimestamp(date, to) {
+    const ms = date.getTime();
+    if (isNaN(ms)) {
+        return null;
+    }
+    return convertTimestamp(ms, 'ms', to);
+}
+
+/**
+ * Express a date string (ISO 8601 / RFC 3339) at a precision. Fractional
+ * seconds beyond milliseconds - which Date cannot hold - are kept.
+ * @param {string} text
+ * @param {string} to
+ * @returns {string|null} Integer timestamp, or null when the string is not a date
+ */
+function dateStringToTimestamp(text, to) {
+    const match = /^(.*T\d{2}:\d{2}:\d{2})\.(\d{4,})(.*)$/.exec(text.trim());
+    if (match) {
+        const wholeSeconds = Date.parse(match[1] + match[3]);
+        if (!isNaN(wholeSeconds) && wholeSeconds >= 0) {
+            return convertTimestamp(`${wholeSeconds / 1000}.${match[2]}`, 's', to);
+        }
+    }
+    return dateToTimestamp(new Date(text), to);
+}
+
+module.exports = {
+    PRECISIONS,
+    parsePrecision,
+    convertTimestamp,
+    hasFraction,
+    dateToTimestamp,
+    dateStringToTimestamp
+};
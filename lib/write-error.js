@@ -0,0 +1,54 @@
+/**
+ * Pure helper describing a failed write for the write node's error output.
+ * @module lib/write-error
+ */
+
+'use strict';
+
+const { isRetryableError } = require('./retry');
+
+/**
+ * Rejected lines of a write error: the client's `lineErrors` (PartialWriteError),
+ * else the `data` list of an InfluxDB 3 error response.
+ * @param {Error} error
+ * @returns {Array<{lineNumber: number, errorMessage: string, originalLine: (string|undefined)}>}
+ */
+function rejectedLines(error) {
+    if (Array.isArray(error.lineErrors)) {
+        return error.lineErrors;
+    }
+    const data = error.json && Array.isArray(error.json.data) ? error.json.data : [];
+    return data
+        .filter((entry) => entry && typeof entry.line_number === 'number')
+        .map((entry) => ({
+            lineNumber: entry.line_number,
+            errorMessage: entry.error_message,
+            originalLine: entry.original_line
+        }));
+}
+
+/**
+ * Describe a failed write.
+ * @param {Error} error
+ * @returns {{message: string, statusCode: (number|undefined), serverMessage: (string|undefined),
+ *   retryable: boolean, lines: Array<object>}} `statusCode` is the HTTP status when
+ *   the server answered; `serverMessage` the message in its response body; `lines`
+ *   the rejected lines, numbered from 1
+ */
+function describeWriteError(error) {
+    let serverMessage;
+    if (error.json && typeof error.json === 'object') {
+        serverMessage = error.json.message || error.json.error;
+    } else if (typeof error.body === 'string' && error.body.trim() !== '') {
+        serverMessage = error.body.trim();
+    }
+    return {
+        message: error.message,
+        statusCode: typeof error.statusCode === 'number' ? error.statusCode : undefined,
+        serverMessage,
+        retryable: isRetryableError(error),
+        lines: rejectedLines(error)
+    };
+}
+
+module.exports = { describeWriteError };
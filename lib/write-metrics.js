@@ -0,0 +1,243 @@
+/**
+ * Counters kept by each write node: messages, points and bytes written,
+ * write latency, and failures by type. Latency percentiles are taken over
+ * the most recent writes only, so they follow changes in the server's
+ * response time.
+ * @module lib/write-metrics
+ */
+
+'use strict';
+
+// Writes whose latency the percentiles are computed over
+const LATENCY_WINDOW = 1000;
+
+/**
+ * Classify a failed write for the error counters.
+ * @param {Error} error
+ * @returns {string} `http <status>`, `timeout`, a network error code such as
+ *   `ECONNREFUSED`, or `other`
+ */
+function errorType(error) {
+    if (!error) {
+        return 'other';
+    }
+    if (typeof error.statusCode === 'number') {
+        return `http ${error.statusCode}`;
+    }
+    if (error.name === 'RequestTimedOutError') {
+        return 'timeout';
+    }
+    if (typeof error.code === 'string' && /^E[A-Z_]+$/.test(error.code)) {
+        return error.code;
+    }
+    return 'other';
+}
+
+/**
+ * Whether an error type from errorType() means InfluxDB could not be reached.
+ * @param {string} type
+ * @returns {boolean}
+ */
+function isConnectionError(type) {
+    return type === 'timeout' || /^E[A-Z_]+$/.test(type);
+}
+
+/**
+ * Nearest-rank percentile of sorted values.
+ * @param {number[]} sorted
+ * @param {number} p - 0 to 100
+ * @returns {number|null}
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) {
+        return null;
+    }
+    return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Shorten a count for a node status: 950, 12.3k, 4.1M.
+ * @param {number} n
+ * @returns {string}
+ */
+function formatCount(n) {
+    if (n >= 1e6) {
+        return `${(n / 1e6).toFixed(1)}M`;
+    }
+    if (n >= 1e4) {
+        return `${(n / 1e3).toFixed(1)}k`;
+    }
+    return String(n);
+}
+
+/**
+ * Create the counters of one write node.
+ * @param {function(): number} [now=Date.now]
+ * @returns {object} The metrics
+ */
+function createWriteMetrics(now) {
+    const clock = now || Date.now;
+    const since = clock();
+    const latencies = [];
+    let nextLatency = 0;
+    let sortedLatencies = null;
+    const totals = {
+        messages: 0,
+        points: 0,
+        writes: 0,
+        bytesRaw: 0,
+        bytesSent: 0,
+        rejectedLines: 0,
+        skippedItems: 0,
+        suppressedLines: 0,
+        spooled: 0,
+        connectionErrors: 0,
+        reconnects: 0
+    };
+    // Set by a connection error, cleared by the next accepted write
+    let disconnected = false;
+    const errorsByType = {};
+    let errorCount = 0;
+    let lastWrite = null;
+    let lastError = null;
+
+    function latencyPercentiles() {
+        if (!sortedLatencies) {
+            sortedLatencies = latencies.slice().sort((a, b) => a - b);
+        }
+        return {
+            p50: percentile(sortedLatencies, 50),
+            p95: percentile(sortedLatencies, 95),
+            p99: percentile(sortedLatencies, 99),
+            max: sortedLatencies.length > 0 ? sortedLatencies[sortedLatencies.length - 1] : null,
+            samples: sortedLatencies.length
+        };
+    }
+
+    return {
+        /**
+         * Count a write the server accepted.
+         * @param {object} write
+         * @param {number} write.messages - Messages whose data was in the write
+         * @param {number} write.points - Lines of line protocol
+         * @param {{raw: number, compressed: (number|null)}} write.size - Body size in bytes;
+         *   the raw size counts as sent when the compressed size was not measured
+         * @param {number} write.latencyMs - Time until the server answered, retries included
+         */
+        recordWrite(write) {
+            totals.messages += write.messages;
+            totals.points += write.points;
+            totals.writes++;
+            totals.bytesRaw += write.size.raw;
+            totals.bytesSent += write.size.compressed === null ? write.size.raw : write.size.compressed;
+            if (latencies.length < LATENCY_WINDOW) {
+                latencies.push(write.latencyMs);
+            } else {
+                latencies[nextLatency] = write.latencyMs;
+                nextLatency = (nextLatency + 1) % LATENCY_WINDOW;
+            }
+            sortedLatencies = null;
+            lastWrite = clock();
+            if (disconnected) {
+                disconnected = false;
+                totals.reconnects++;
+            }
+        },
+
+        /**
+         * Count a write attempt that failed because InfluxDB could not be
+         * reached; the next accepted write counts as a reconnect.
+         */
+        recordConnectionError() {
+            totals.connectionErrors++;
+            disconnected = true;
+        },
+
+        /**
+         * Count failed messages.
+         * @param {string} type - From errorType(), or `invalid` for messages that
+         *   could not be converted to line protocol
+         * @param {number} messages
+         * @param {string} message - The error message
+         */
+        recordError(type, messages, message) {
+            errorsByType[type] = (errorsByType[type] || 0) + messages;
+            errorCount += messages;
+            lastError = { type, message, at: new Date(clock()).toISOString() };
+        },
+
+        /**
+         * Count lines refused by the server in a partial write.
+         * @param {number} lines
+         */
+        recordRejectedLines(lines) {
+            totals.rejectedLines += lines;
+        },
+
+        /**
+         * Count array items skipped as invalid.
+         * @param {number} items
+         */
+        recordSkippedItems(items) {
+            totals.skippedItems += items;
+        },
+
+        /**
+         * Count points left out by the deadband filter.
+         * @param {number} lines
+         */
+        recordSuppressedLines(lines) {
+            totals.suppressedLines += lines;
+        },
+
+        /**
+         * Count messages stored in the offline spool.
+         * @param {number} messages
+         */
+        recordSpooled(messages) {
+            totals.spooled += messages;
+        },
+
+        /**
+         * Current counters.
+         * @returns {object}
+         */
+        snapshot() {
+            return {
+                since: new Date(since).toISOString(),
+                messages: totals.messages,
+                points: totals.points,
+                writes: totals.writes,
+                bytes: { raw: totals.bytesRaw, sent: totals.bytesSent },
+                latencyMs: latencyPercentiles(),
+                errors: { total: errorCount, byType: { ...errorsByType } },
+                rejectedLines: totals.rejectedLines,
+                skippedItems: totals.skippedItems,
+                suppressedLines: totals.suppressedLines,
+                spooled: totals.spooled,
+                connectionErrors: totals.connectionErrors,
+                reconnects: totals.reconnects,
+                lastWrite: lastWrite === null ? null : new Date(lastWrite).toISOString(),
+                lastError
+            };
+        },
+
+        /**
+         * Short summary for the node status, e.g. `12.3k pts · p95 42 ms · 2 err`.
+         * @returns {string}
+         */
+        summary() {
+            const parts = [`${formatCount(totals.points)} pts`];
+            const p95 = latencyPercentiles().p95;
+            if (p95 !== null) {
+                parts.push(`p95 ${Math.round(p95)} ms`);
+            }
+            if (errorCount > 0) {
+                parts.push(`${formatCount(errorCount)} err`);
+            }
+            return parts.join(' · ');
+        }
+    };
+}
+
+module.exports = { createWriteMetrics, errorType, isConnectionError };